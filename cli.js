@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/*
+ * Headless pack updater: the same check/build as the web UI, for CI and servers.
+ *
+ *   node cli.js check pack.mrpack --mc 1.21.1 [--loader fabric] [--channel any] [--format text|json]
+ *   node cli.js build pack.mrpack --mc 1.21.1 [-o out.mrpack] [--loader-version recommended|latest|<version>]
+ *                                            [--server-pack server.zip]
+ */
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { parseArgs } = require("node:util");
+const {
+  Modpack, ROW_DISPOSITION, CHANNEL_POLICIES, LOADER_DEPENDENCY_KEYS, BUILD_VERIFY_MODES, API_BASES, setApiBases, formatBytes,
+  validateAssetPattern
+} = require("./core.js");
+
+// Exit codes CI can gate on; a failed check outranks a missing project. A build that writes the pack
+// still exits with UNAVAILABLE or CHECK_FAILED when the result is incomplete
+const EXIT = {
+  OK: 0,            // every project has a target version (check) / pack written with all of them (build)
+  UNAVAILABLE: 1,   // some projects have no build for the target
+  CHECK_FAILED: 2,  // some checks failed or were skipped, so the result is incomplete
+  USAGE: 3,         // bad arguments
+  ERROR: 4,         // the file isn't a Modrinth pack, or it couldn't be analyzed
+  CONFLICTS: 5,     // build refused: selected versions declare incompatibilities
+  UNVERIFIED: 6,    // --verify: some downloads were dead or didn't match their hashes
+  NO_PACK: 7        // the pack file is missing or can't be read
+};
+
+// Options that only mean something to build; check rejects them instead of ignoring them
+const BUILD_ONLY_OPTIONS = ["output", "server-pack", "list-server-files", "verify", "embed"];
+
+const USAGE = `Usage:
+  mrpack-updater check <pack.mrpack> --mc <version> [options]
+  mrpack-updater build <pack.mrpack> --mc <version> [-o <out.mrpack>] [options]
+
+Options:
+  --mc <version>              Target Minecraft version (required)
+  --loader <loader>           fabric, quilt, forge or neoforge (default: the pack's own loader)
+  --channel <policy>          release, beta or any (default: any)
+  --format <format>           text or json (default: text)
+  --loader-version <version>  recommended, latest or a specific version (build only, default: recommended)
+  -o, --output <file>         Where to write the built pack (build only, default: <pack name>.mrpack)
+  --server-pack <file>        Also write a server pack: server-side files, overrides and a loader install script
+                              (build only)
+  --list-server-files         Leave the files out of the server pack; its install.sh downloads them instead
+  --allow-conflicts           Build even when selected versions declare incompatibilities
+  --verify                    Download every file and check its size, sha1 and sha512 before packaging (build only)
+  --embed                     Like --verify, then bundle the verified files into the overrides (offline pack)
+  --keep-unavailable          Keep projects without a target version at their current version (unsafe)
+                              instead of removing them
+  --modrinth-env              Set client/server env from Modrinth where the pack disagrees with it
+  --exclude-override <path>   Leave override files out of the build: a file or folder path inside the pack,
+                              e.g. overrides/config/foo.json or client-overrides/ (repeatable)
+  --github-asset <project>=<regex>
+                              Match a project's GitHub release assets (GitHub fallback) by regex instead of
+                              by the MC version in their names; <project> is a slug or ID, {mc} stands for the
+                              target MC version (repeatable)
+  --api-base <name>=<url>     Use another base URL for an API (repeatable; names: ${Object.keys(API_BASES).join(", ")})
+  -v, --verbose               Print progress and debug output to stderr
+  -h, --help                  Show this help
+
+Exit codes (build still writes the pack on 1 and 2):
+  0 all projects available (check) or pack written with all of them (build)
+  1 some projects unavailable    2 some checks failed or were skipped
+  3 usage error                  4 fatal error
+  5 build refused over incompatibility conflicts
+  6 some downloads failed verification (--verify / --embed)
+  7 the pack file is missing or unreadable`;
+
+class UsageError extends Error {}
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      mc: { type: "string" },
+      loader: { type: "string" },
+      channel: { type: "string", default: "any" },
+      format: { type: "string", default: "text" },
+      "loader-version": { type: "string", default: "recommended" },
+      output: { type: "string", short: "o" },
+      "server-pack": { type: "string" },
+      "list-server-files": { type: "boolean", default: false },
+      "allow-conflicts": { type: "boolean", default: false },
+      verify: { type: "boolean", default: false },
+      embed: { type: "boolean", default: false },
+      "keep-unavailable": { type: "boolean", default: false },
+      "exclude-override": { type: "string", multiple: true, default: [] },
+      "modrinth-env": { type: "boolean", default: false },
+      "github-asset": { type: "string", multiple: true, default: [] },
+      "api-base": { type: "string", multiple: true, default: [] },
+      verbose: { type: "boolean", short: "v", default: false },
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+  if (values.help) return { help: true };
+
+  const [command, packPath] = positionals;
+  if (!["check", "build"].includes(command)) throw new UsageError(command ? `Unknown command "${command}"` : "Missing command");
+  if (!packPath) throw new UsageError("Missing pack file");
+  if (!values.mc) throw new UsageError("--mc is required");
+  if (values.loader && !LOADER_DEPENDENCY_KEYS[values.loader]) throw new UsageError(`Unknown loader "${values.loader}"`);
+  if (!CHANNEL_POLICIES[values.channel]) throw new UsageError(`Unknown channel policy "${values.channel}"`);
+  if (!["text", "json"].includes(values.format)) throw new UsageError(`Unknown format "${values.format}"`);
+  if (command !== "build") {
+    const buildOnly = BUILD_ONLY_OPTIONS.find(name => values[name]);
+    if (buildOnly) throw new UsageError(`--${buildOnly} needs the build command`);
+  }
+
+  const apiBases = {};
+  for (const entry of values["api-base"]) {
+    const [, name, url] = entry.match(/^([^=]+)=(.+)$/) || [];
+    if (!name || !(name in API_BASES)) throw new UsageError(`Bad --api-base "${entry}"`);
+    apiBases[name] = url;
+  }
+  const githubAssetPatterns = {};
+  for (const entry of values["github-asset"]) {
+    const [, project, pattern] = entry.match(/^([^=]+)=(.+)$/) || [];
+    if (!project) throw new UsageError(`Bad --github-asset "${entry}"`);
+    validateAssetPattern(pattern);
+    githubAssetPatterns[project] = pattern;
+  }
+  return { command, packPath, ...values, apiBases, githubAssetPatterns };
+}
+
+// Progress goes to stderr so stdout stays clean for the table / JSON
+function makeReporter(opts) {
+  const log = opts.verbose ? (...args) => console.error(...args) : () => {};
+  return {
+    phase: (name, extra = "") => log(`${name}${extra ? ` ${extra}` : ""}`),
+    summary: text => log(text),
+    raw: data => log(JSON.stringify(data, null, 2)),
+    confirm: async message => {
+      if (!opts["allow-conflicts"]) console.error(`${message.replace(/\n\nBuild anyway\?$/, "")}\nPass --allow-conflicts to build anyway.`);
+      return opts["allow-conflicts"];
+    }
+  };
+}
+
+// The results-table columns, as plain data
+function tableRow(r, modpack) {
+  return {
+    project_id: r.project_id,
+    name: r.name,
+    category: r.category,
+    current_version: r.current_version_number,
+    current_mc: r.current_mc,
+    loader: r.target_loader,
+    resolved_loader: r.resolved_loader || null,
+    status: r.status,
+    check_error: r.check_error || null,
+    target_version: r.target_version_number || null,
+    target_version_type: r.target_version_type || null,
+    source: r.source || null,
+    published: r.target_date || null,
+    download_url: r.download_url || null,
+    github_repo: r.github_repo || null,
+    added_as_dependency: !!r.added_as_dependency,
+    embedded_paths: r.embedded_paths || [],
+    env: modpack.getEnv(r),
+    env_modrinth: r.env_suggested || null,
+    env_mismatch: modpack.hasEnvMismatch(r),
+    disposition: modpack.getDisposition(r),
+    conflicts: (r.conflicts || []).map(c => c.name)
+  };
+}
+
+function formatTable(rows) {
+  const cols = [
+    ["Name", r => r.name + (r.added_as_dependency ? " (dependency)" : r.embedded_paths.length ? " (embedded)" : "")],
+    ["Current", r => r.current_version],
+    ["Status", r => r.status],
+    ["Target", r => r.target_version || "-"],
+    ["Loader", r => r.resolved_loader && r.resolved_loader !== r.loader ? `${r.loader} via ${r.resolved_loader}` : r.loader || "-"],
+    ["Source", r => r.source || "-"],
+    ["Build", r => r.disposition],
+    ["Env", r => `${r.env.client}/${r.env.server}` + (r.env_mismatch ? ` (Modrinth: ${r.env_modrinth.client}/${r.env_modrinth.server})` : "")]
+  ];
+  const cells = rows.map(r => cols.map(([, cell]) => String(cell(r) ?? "-")));
+  const widths = cols.map(([label], i) => Math.max(label.length, ...cells.map(c => c[i].length)));
+  const line = values => values.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(cols.map(([label]) => label)), line(widths.map(w => "-".repeat(w))), ...cells.map(line)].join("\n");
+}
+
+function exitCodeFor(modpack) {
+  if (modpack.getFailedItems().length) return EXIT.CHECK_FAILED;
+  if (modpack.getMissingItems().length) return EXIT.UNAVAILABLE;
+  return EXIT.OK;
+}
+
+async function checkOrBuild(opts) {
+  const print = text => process.stdout.write(`${text}\n`);
+
+  setApiBases(opts.apiBases);
+  const modpack = new Modpack(makeReporter(opts));
+  modpack.setGitHubAssetPatterns(opts.githubAssetPatterns);
+  let pack;
+  try {
+    pack = new Blob([await fs.readFile(opts.packPath)]);
+  } catch (e) {
+    console.error(`${opts.packPath}: can't read the pack (${e.code || e.message})`);
+    return EXIT.NO_PACK;
+  }
+  if (!await modpack.load(pack)) {
+    console.error(`${opts.packPath}: not a Modrinth pack (no modrinth.index.json)`);
+    return EXIT.ERROR;
+  }
+  for (const prefix of opts["exclude-override"]) {
+    const matches = modpack.overrideFiles.flatMap((e, i) => e.path.startsWith(prefix) ? [i] : []);
+    if (!matches.length) console.error(`--exclude-override ${prefix}: no override file matches`);
+    matches.forEach(i => modpack.setOverrideFileKept(i, false));
+  }
+  const loader = opts.loader || modpack.sourceLoader || "fabric";
+  if (modpack.sourceLoader && loader !== modpack.sourceLoader) {
+    console.error(`Cross-loader migration: ${modpack.sourceLoader} → ${loader}`);
+  }
+
+  const rows = await modpack.analyze(pack, opts.mc, loader, opts.channel);
+  if (!rows) {
+    console.error("Nothing to check in this pack.");
+    return EXIT.ERROR;
+  }
+  if (opts["keep-unavailable"]) {
+    rows.filter(r => !r.target_available).forEach(r => modpack.setRowDisposition(r.project_id, ROW_DISPOSITION.KEEP));
+  }
+  const envMismatches = modpack.getEnvMismatches().length;
+  if (opts["modrinth-env"]) modpack.applySuggestedEnv();
+  const table = rows.map(r => tableRow(r, modpack));
+  const summary = {
+    ...modpack.getSummary(),
+    conflicts: modpack.conflicts.length,
+    envMismatches
+  };
+  const overrides = modpack.getOverrideSummary();
+
+  let built = null;
+  if (opts.command === "build") {
+    const loaderVersionMode = ["recommended", "latest"].includes(opts["loader-version"]) ? opts["loader-version"] : "specific";
+    const result = await modpack.build({
+      loaderVersionMode,
+      loaderVersion: loaderVersionMode === "specific" ? opts["loader-version"] : null,
+      verifyMode: opts.embed ? BUILD_VERIFY_MODES.EMBED : opts.verify ? BUILD_VERIFY_MODES.VERIFY : BUILD_VERIFY_MODES.OFF,
+      zipType: "nodebuffer"
+    });
+    if (!result) return EXIT.CONFLICTS;
+    const output = opts.output || path.join(path.dirname(opts.packPath), result.fileName);
+    await fs.writeFile(output, result.data);
+    built = {
+      output,
+      note: result.note.trim(),
+      skipped: result.skipped.map(r => r.name),
+      disallowed_downloads: result.disallowed,
+      kept: result.kept.map(r => r.name),
+      removed: result.removed.map(r => r.name),
+      verification: result.verification,
+      diff: result.diff
+    };
+    if (opts["server-pack"]) {
+      const server = await modpack.buildServerPack({ downloadFiles: !opts["list-server-files"], zipType: "nodebuffer" });
+      await fs.writeFile(opts["server-pack"], server.data);
+      built.server_pack = {
+        output: opts["server-pack"],
+        note: server.note,
+        bundled: server.bundled,
+        listed: server.listed,
+        failed: server.failed,
+        client_only: server.clientOnly
+      };
+    }
+  }
+
+  if (opts.format === "json") {
+    print(JSON.stringify({ pack: modpack.name, target_mc: opts.mc, loader, channel: opts.channel, summary, overrides, rows: table, build: built }, null, 2));
+  } else {
+    print(formatTable(table));
+    print("");
+    print(`${summary.available}/${summary.total} available for ${opts.mc} (${loader}), ${summary.missing} missing, ` +
+      `${summary.excludedByPolicy} excluded by channel policy, ${summary.failed} failed, ${summary.conflicts} conflict(s).`);
+    if (envMismatches) {
+      print(`${envMismatches} item(s) have an env that differs from Modrinth's client/server support` +
+        (opts["modrinth-env"] ? "; using Modrinth's." : " (pass --modrinth-env to use Modrinth's)."));
+    }
+    const folders = overrides.filter(f => f.count);
+    if (folders.length) {
+      print(`Overrides: ${folders.map(f => `${f.folder} ${f.count} file(s), ${formatBytes(f.size)}` +
+        (f.keptCount < f.count ? ` (${f.count - f.keptCount} excluded)` : "")).join("; ")}`);
+    }
+    if (built) {
+      print(`Wrote ${built.output}. ${built.note}`);
+      if (built.skipped.length) print(`Not included (no download): ${built.skipped.join(", ")}`);
+      for (const f of built.verification?.failed || []) print(`Failed verification: ${f.path} (${f.problem}) ${f.url || ""}`.trimEnd());
+      if (built.server_pack) print(`Wrote server pack ${built.server_pack.output}. ${built.server_pack.note}`);
+    }
+  }
+
+  if (built?.verification?.failed.length) return EXIT.UNVERIFIED;
+  return exitCodeFor(modpack);
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} - Exit code (see EXIT)
+ */
+async function run(argv) {
+  let opts;
+  try {
+    opts = parseCli(argv);
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return EXIT.OK;
+  }
+
+  // core.js logs [DEBUG] lines through console.log; keep them off stdout
+  const consoleLog = console.log;
+  console.log = opts.verbose ? (...args) => console.error(...args) : () => {};
+  try {
+    return await checkOrBuild(opts);
+  } finally {
+    console.log = consoleLog;
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    err => {
+      console.error(err?.stack || String(err));
+      process.exitCode = EXIT.ERROR;
+    }
+  );
+}
+
+module.exports = { run, EXIT };
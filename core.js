@@ -0,0 +1,2798 @@
+/*
+ * Pack analysis and building, shared by the browser UI (script.js) and the Node CLI (cli.js).
+ * Nothing in here touches the DOM: progress and questions go through the Modpack's reporter.
+ */
+
+// The browser loads JSZip as a global from jszip-dist; Node has to require it
+if (typeof JSZip === "undefined" && typeof require === "function") {
+  globalThis.JSZip = require("./jszip-dist/jszip.min.js");
+}
+
+const MAX_CONCURRENCY = 6;
+
+// Release channels each policy accepts, in order of preference
+const CHANNEL_POLICIES = {
+  release: ["release"],
+  beta: ["release", "beta"],
+  any: ["release", "beta", "alpha"]
+};
+const CHANNEL_POLICY_LABELS = {
+  release: "release only",
+  beta: "allow beta",
+  any: "allow anything"
+};
+
+// Outcome of checking a row against the target
+const ROW_STATUS = {
+  AVAILABLE: "available",             // a target version was selected
+  UNAVAILABLE: "unavailable",         // checked: no usable build for the target
+  ERROR: "error",                     // the check itself failed (rate limit, network, 5xx)
+  PROJECT_DELETED: "project-deleted", // Modrinth no longer has the project
+  SKIPPED: "skipped"                  // not checked (check stopped early)
+};
+
+// What build() does with a row's file
+const ROW_DISPOSITION = {
+  UPDATE: "update", // write the selected target version
+  KEEP: "keep",     // copy the original index entry unchanged (may not load on the target MC)
+  REMOVE: "remove"  // leave the project out of the built pack
+};
+
+// modrinth.index.json dependency key and display name for each supported loader
+const LOADER_DEPENDENCY_KEYS = {
+  fabric: "fabric-loader",
+  quilt: "quilt-loader",
+  forge: "forge",
+  neoforge: "neoforge"
+};
+const LOADER_NAMES = {
+  fabric: "Fabric Loader",
+  quilt: "Quilt Loader",
+  forge: "Forge",
+  neoforge: "NeoForge"
+};
+
+// Override folders of the mrpack format: applied on both sides, on servers only, on clients only
+const OVERRIDE_FOLDERS = ["overrides/", "server-overrides/", "client-overrides/"];
+
+// Values of a file's env.client / env.server in modrinth.index.json
+const ENV_VALUES = ["required", "optional", "unsupported"];
+const DEFAULT_ENV = { client: "required", server: "required" };
+
+// env of the index entry that replaces a jar embedded in each override folder
+const OVERRIDE_FOLDER_ENV = {
+  "overrides/":        { client: "required", server: "required" },
+  "server-overrides/": { client: "unsupported", server: "required" },
+  "client-overrides/": { client: "required", server: "unsupported" }
+};
+
+// Override folder for a file bundled into the pack, going by its env
+const overrideFolderForEnv = env =>
+  env?.server === "unsupported" ? "client-overrides/" : env?.client === "unsupported" ? "server-overrides/" : "overrides/";
+
+// Hosts the mrpack format allows in `downloads`; launchers may refuse files from anywhere else
+const MRPACK_DOWNLOAD_HOSTS = ["cdn.modrinth.com", "github.com", "raw.githubusercontent.com", "gitlab.com"];
+
+function isAllowedDownloadUrl(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return protocol === "https:" && MRPACK_DOWNLOAD_HOSTS.includes(host);
+  } catch {
+    return false;
+  }
+}
+
+// What build() does with the download behind each index entry
+const BUILD_VERIFY_MODES = {
+  OFF: "off",       // trust the sizes and hashes from Modrinth
+  VERIFY: "verify", // download every file and check its size, sha1 and sha512
+  EMBED: "embed"    // verify, then bundle the files into the overrides for offline installs
+};
+
+/* ---------- UTILITY FUNCTIONS ---------- */
+// Hex digest of some bytes, e.g. digestHex("SHA-1", bytes) (Web Crypto: browsers and Node 20+)
+async function digestHex(algorithm, bytes) {
+  const digest = await crypto.subtle.digest(algorithm, bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function parseVersion(versionStr) {
+  const parts = versionStr.split('.').map(n => parseInt(n, 10));
+  while (parts.length < 3) parts.push(0);
+  return parts;
+}
+
+function compareVersions(a, b) {
+  const pa = parseVersion(a);
+  const pb = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    if (pb[i] !== pa[i]) return pb[i] - pa[i];
+  }
+  return 0;
+}
+
+// Other loaders whose builds a pack loader can also run, in order of preference.
+// NeoForge only loads Forge mods on 1.20.1, before the two diverged.
+const LOADER_FALLBACKS = {
+  quilt: () => ["fabric"],
+  neoforge: mc => mc === "1.20.1" ? ["forge"] : []
+};
+
+/**
+ * Get the loaders to query for a target, the requested loader first followed by its fallbacks
+ * @param {string} loader - Loader of the pack (or category loader like "minecraft")
+ * @param {string} mc - Target Minecraft version
+ * @returns {string[]} - Loader chain
+ */
+function getLoaderChain(loader, mc) {
+  return [loader, ...(LOADER_FALLBACKS[loader]?.(mc) || [])];
+}
+
+/**
+ * Detect the pack's loader from the dependencies in modrinth.index.json
+ * @param {Object} index - Parsed modrinth.index.json
+ * @returns {{loader: string|null, version: string|null, mc: string|null}} - Detected loader (null if none)
+ */
+function detectPackLoader(index) {
+  const deps = index?.dependencies || {};
+  // Check NeoForge/Forge first so a stray fabric-loader entry alongside them doesn't win
+  for (const loader of ["neoforge", "forge", "quilt", "fabric"]) {
+    const key = LOADER_DEPENDENCY_KEYS[loader];
+    if (deps[key]) return { loader, version: deps[key], mc: deps.minecraft || null };
+  }
+  return { loader: null, version: null, mc: deps.minecraft || null };
+}
+
+// Helper function to get default loader for a category
+// NOTE: This should only be used as a fallback when project data is not available.
+// Always prefer getting the correct loader from the original project data using getLoaderForProject().
+function getDefaultLoaderForCategory(category) {
+  switch (category) {
+    case "mod":
+      return "fabric";
+    case "shaderpack":
+      return "iris";
+    case "resourcepack":
+    case "datapack":
+    default:
+      return "minecraft";
+  }
+}
+
+/* ---------- REQUEST SCHEDULER ---------- */
+
+// Thrown when a request still fails (429, 5xx, network error) after every retry
+class RequestFailedError extends Error {
+  constructor(message, { url = null, status = null } = {}) {
+    super(message);
+    this.name = "RequestFailedError";
+    this.url = url;
+    this.status = status;
+  }
+}
+
+// Thrown when Modrinth answers 404 for a project (deleted or hidden)
+class ProjectNotFoundError extends Error {
+  constructor(projectId) {
+    super(`Project ${projectId} not found`);
+    this.name = "ProjectNotFoundError";
+    this.projectId = projectId;
+  }
+}
+
+/**
+ * Single queue that every Modrinth/GitHub/loader-meta request goes through. Limits concurrency,
+ * honours X-Ratelimit-Remaining/Reset per host and retries 429/5xx/network errors with backoff.
+ * Non-retryable responses (404 etc.) are returned as-is for callers to handle.
+ */
+class RequestScheduler {
+  constructor({ maxConcurrency = MAX_CONCURRENCY, maxRetries = 4, baseDelay = 500, maxHostWait = 60 * 1000 } = {}) {
+    this.maxConcurrency = maxConcurrency;
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxHostWait = maxHostWait; // longer rate-limit windows fail the request instead of waiting
+    this.active = 0;
+    this.waiting = [];
+    this.hosts = new Map(); // host -> { remaining, resetAt }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  async acquire() {
+    if (this.active < this.maxConcurrency) { this.active++; return; }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) next(); // hand the slot straight over
+    else this.active--;
+  }
+
+  // Modrinth sends seconds until reset, GitHub sends an epoch timestamp in seconds
+  readRateLimit(host, res) {
+    const remaining = parseInt(res.headers.get("X-Ratelimit-Remaining"), 10);
+    const reset = parseInt(res.headers.get("X-Ratelimit-Reset"), 10);
+    if (!Number.isFinite(remaining) || !Number.isFinite(reset)) return;
+    const resetAt = reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+    this.hosts.set(host, { remaining, resetAt });
+  }
+
+  /**
+   * Wait out the rate-limit window when the host has (almost) no requests left in it.
+   * Called without a slot held, so other hosts keep going meanwhile.
+   * @throws {RequestFailedError} - When the window is longer than maxHostWait
+   */
+  async waitForHost(host, url) {
+    const state = this.hosts.get(host);
+    if (!state || state.remaining > this.maxConcurrency) return;
+    const wait = state.resetAt - Date.now();
+    if (wait > this.maxHostWait) {
+      const message = `${host} is rate-limited for another ${Math.ceil(wait / 1000)}s`;
+      console.warn(`${message}; not waiting for ${url}`);
+      throw new RequestFailedError(message, { url: String(url), status: 429 });
+    }
+    if (wait > 0) {
+      console.log(`[DEBUG] ${host}: ${state.remaining} requests left, pausing ${Math.ceil(wait / 1000)}s`);
+      await this.sleep(wait);
+    }
+    if (this.hosts.get(host) === state) this.hosts.delete(host);
+  }
+
+  // 429, or GitHub's 403 once the hourly allowance is used up
+  isRateLimited(res) {
+    return res.status === 429 || (res.status === 403 && res.headers.get("X-Ratelimit-Remaining") === "0");
+  }
+
+  backoff(attempt, res = null) {
+    const retryAfter = parseInt(res?.headers.get("Retry-After"), 10);
+    if (Number.isFinite(retryAfter)) return retryAfter * 1000;
+    return this.baseDelay * 2 ** attempt + Math.random() * this.baseDelay;
+  }
+
+  /**
+   * fetch() through the scheduler
+   * @param {string|URL} url - Request URL
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<Response>} - Final response (ok, or a non-retryable error status)
+   * @throws {RequestFailedError} - When retries run out
+   */
+  async fetch(url, options = {}) {
+    const host = new URL(url).host;
+    let lastError = "";
+    let lastStatus = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      await this.waitForHost(host, url);
+      await this.acquire();
+      let res = null;
+      try {
+        res = await fetch(url, options);
+        this.readRateLimit(host, res);
+      } catch (e) {
+        lastError = e?.message || String(e);
+      } finally {
+        this.release();
+      }
+
+      if (res && !this.isRateLimited(res) && res.status < 500) return res;
+      if (res) { lastStatus = res.status; lastError = `HTTP ${res.status}`; }
+      if (attempt < this.maxRetries) {
+        // A known rate-limit window is waited out (or refused) by waitForHost on the next attempt
+        const delay = res && this.isRateLimited(res) && this.hosts.has(host) ? 0 : this.backoff(attempt, res);
+        console.warn(`Request to ${host} failed (${lastError}), retry ${attempt + 1}/${this.maxRetries} in ${Math.round(delay)}ms`);
+        await this.sleep(delay);
+      }
+    }
+    throw new RequestFailedError(`${lastError} after ${this.maxRetries + 1} attempts`, { url: String(url), status: lastStatus });
+  }
+}
+
+// Base URLs of every API the tool talks to; tests and the CLI can point them at a local stand-in
+const API_BASES = {
+  modrinth: "https://api.modrinth.com/v2",
+  github: "https://api.github.com",
+  fabricMeta: "https://meta.fabricmc.net",
+  quiltMeta: "https://meta.quiltmc.org",
+  quiltMaven: "https://maven.quiltmc.org/repository/release",
+  forgeFiles: "https://files.minecraftforge.net",
+  forgeMaven: "https://maven.minecraftforge.net",
+  neoforgeMaven: "https://maven.neoforged.net/releases"
+};
+
+/**
+ * Override API base URLs, e.g. { modrinth: "http://localhost:8080/v2" }
+ * @param {Object} bases - Keys of API_BASES -> base URL (a trailing slash is dropped)
+ * @throws {Error} - For keys that aren't in API_BASES
+ */
+function setApiBases(bases) {
+  for (const [key, url] of Object.entries(bases)) {
+    if (!(key in API_BASES)) throw new Error(`Unknown API "${key}"`);
+    API_BASES[key] = String(url).replace(/\/+$/, "");
+  }
+}
+
+// Create global instance
+const requestScheduler = new RequestScheduler();
+
+function apiFetch(url, options) {
+  return requestScheduler.fetch(url, options);
+}
+
+/* ---------- API RESPONSE CACHE ---------- */
+
+// How long cached Modrinth responses stay fresh
+const CACHE_TTL = {
+  versions: 30 * 60 * 1000,      // project versions for a MC version + loaders
+  projects: 6 * 60 * 60 * 1000,  // project metadata (titles, slugs, loaders)
+  hashes: 24 * 60 * 60 * 1000,   // sha1 -> version; a file's version doesn't change
+  releases: 30 * 60 * 1000       // GitHub releases of a project's source repository
+};
+
+/**
+ * Small IndexedDB key/value cache with per-entry expiry. Every method degrades to a
+ * no-op (cache miss) when IndexedDB is unavailable or fails, so callers never have to care.
+ */
+class ApiCache {
+  constructor() {
+    // Create app-specific storage prefix based on current path
+    const APP_PATH = typeof window !== "undefined" ? window.location.pathname.replace(/\/[^\/]*$/, '') || '/' : '/';
+    this.DB_NAME = `mrpack${APP_PATH.replace(/[^a-zA-Z0-9]/g, '_')}_api_cache`;
+    this.STORE = "responses";
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+    this.dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === "undefined") return resolve(null);
+      try {
+        const req = indexedDB.open(this.DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(this.STORE, { keyPath: "key" });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+          console.warn("API cache unavailable:", req.error);
+          resolve(null);
+        };
+      } catch (e) {
+        console.warn("API cache unavailable:", e);
+        resolve(null);
+      }
+    });
+    return this.dbPromise;
+  }
+
+  async transaction(mode, fn) {
+    const db = await this.open();
+    if (!db) return undefined;
+    return new Promise(resolve => {
+      try {
+        const tx = db.transaction(this.STORE, mode);
+        const result = fn(tx.objectStore(this.STORE));
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = tx.onabort = () => {
+          console.warn("API cache transaction failed:", tx.error);
+          resolve(undefined);
+        };
+      } catch (e) {
+        console.warn("API cache transaction failed:", e);
+        resolve(undefined);
+      }
+    });
+  }
+
+  /**
+   * Read several keys at once
+   * @param {string[]} keys - Cache keys
+   * @returns {Promise<Map<string, *>>} - Fresh entries only (expired or missing keys are absent)
+   */
+  async getMany(keys) {
+    const found = new Map();
+    const now = Date.now();
+    await this.transaction("readonly", store => {
+      for (const key of keys) {
+        const req = store.get(key);
+        req.onsuccess = () => {
+          const entry = req.result;
+          if (entry && entry.expires > now) found.set(key, entry.value);
+        };
+      }
+    });
+    return found;
+  }
+
+  async get(key) {
+    return (await this.getMany([key])).get(key);
+  }
+
+  /**
+   * Write several entries with the same TTL
+   * @param {Array<[string, *]>} entries - [key, value] pairs
+   * @param {number} ttl - Time to live in milliseconds
+   */
+  async setMany(entries, ttl) {
+    if (!entries.length) return;
+    const expires = Date.now() + ttl;
+    await this.transaction("readwrite", store => {
+      for (const [key, value] of entries) store.put({ key, value, expires });
+    });
+  }
+
+  async set(key, value, ttl) {
+    return this.setMany([[key, value]], ttl);
+  }
+
+  async clear() {
+    await this.transaction("readwrite", store => store.clear());
+  }
+}
+
+// Create global instance
+const apiCache = new ApiCache();
+
+/* ---------- COMMON MODRINTH UTILITIES ---------- */
+
+/**
+ * Fetch versions for a Modrinth project with specific MC version and loader filters
+ * @param {string} projectId - The Modrinth project ID
+ * @param {string} mc - Target Minecraft version
+ * @param {string|string[]} loader - Target loader (e.g., "fabric", "minecraft"), or several to match any of
+ * @param {string} [projectName] - Optional project name for debugging
+ * @returns {Promise<Array|null>} - Array of version objects or null on error
+ * @throws {RequestFailedError} - When the request still fails after retries
+ * @throws {ProjectNotFoundError} - When the project doesn't exist (anymore)
+ */
+async function fetchModrinthVersions(projectId, mc, loader, projectName = null) {
+  const loaders = Array.isArray(loader) ? loader : [loader];
+  const cacheKey = `versions:${projectId}:${mc}:${loaders.join(",")}`;
+  const cached = await apiCache.get(cacheKey);
+  if (cached) return cached;
+
+  try {
+    console.log(`[DEBUG] Fetching versions for project ${projectId}${projectName ? ` (${projectName})` : ''} - MC: ${mc}, Loader: ${loaders.join("/")}`);
+    
+    const url = new URL(`${API_BASES.modrinth}/project/${projectId}/version`);
+    url.searchParams.set("game_versions", JSON.stringify([mc]));
+    url.searchParams.set("loaders", JSON.stringify(loaders));
+
+    const res = await apiFetch(url);
+    if (res.status === 404) throw new ProjectNotFoundError(projectId);
+    if (!res.ok) {
+      const projectLabel = projectName ? ` (${projectName})` : '';
+      console.warn(`Failed to fetch versions for ${projectId}${projectLabel}: ${res.status}`);
+      return null;
+    }
+
+    const versions = await res.json();
+    console.log(`  [DEBUG] Found ${versions.length} versions for project ${projectId}${projectName ? ` (${projectName})` : ''}`);
+    if (!Array.isArray(versions)) return null;
+    await apiCache.set(cacheKey, versions, CACHE_TTL.versions);
+    return versions;
+  } catch (e) {
+    // Throttled/failed requests and deleted projects must not look like "no versions"
+    if (e instanceof RequestFailedError || e instanceof ProjectNotFoundError) throw e;
+    const projectLabel = projectName ? ` (${projectName})` : '';
+    console.warn(`Error fetching versions for ${projectId}${projectLabel}:`, e);
+    return null;
+  }
+}
+
+/**
+ * Batch fetch project metadata for multiple projects
+ * @param {string[]} projectIds - Array of Modrinth project IDs
+ * @returns {Promise<Map<string, Object>>} - Map of projectId -> project metadata
+ * @throws {RequestFailedError} - When the lookup fails
+ */
+async function getProjectsBatch(projectIds) {
+  if (!projectIds.length) return new Map();
+
+  const cached = await apiCache.getMany(projectIds.map(id => `project:${id}`));
+  const result = new Map();
+  const missing = [];
+  for (const id of projectIds) {
+    const hit = cached.get(`project:${id}`);
+    if (hit) result.set(id, hit);
+    else missing.push(id);
+  }
+  if (!missing.length) return result;
+
+  const url = new URL(`${API_BASES.modrinth}/projects`);
+  url.searchParams.set('ids', JSON.stringify(missing));
+
+  const res = await apiFetch(url);
+  if (!res.ok) throw new RequestFailedError(`Project lookup failed: HTTP ${res.status}`, { url: String(url), status: res.status });
+
+  const projects = await res.json();
+  projects.forEach(p => result.set(p.id, p));
+  await apiCache.setMany(projects.map(p => [`project:${p.id}`, p]), CACHE_TTL.projects);
+  return result;
+}
+
+/**
+ * getProjectsBatch for a check: a failed lookup gives an empty map and the error, so the rows it
+ * leaves without metadata can be marked as failed (and retried) instead of passing for unknown projects
+ * @param {string[]} projectIds - Array of Modrinth project IDs
+ * @returns {Promise<{projectMap: Map<string, Object>, projectsFailed: Object|null}>} - projectsFailed is the
+ *   check result to give every row of the batch when the lookup failed
+ */
+async function getProjectsForCheck(projectIds) {
+  try {
+    return { projectMap: await getProjectsBatch(projectIds), projectsFailed: null };
+  } catch (e) {
+    if (!(e instanceof RequestFailedError)) throw e;
+    console.warn(`Project metadata unavailable: ${e.message}`);
+    return {
+      projectMap: new Map(),
+      projectsFailed: { versions: [], fallback: null, checkStatus: ROW_STATUS.ERROR, checkError: `Project metadata: ${e.message}` }
+    };
+  }
+}
+
+/**
+ * Batch fetch version metadata for multiple versions
+ * @param {string[]} versionIds - Array of Modrinth version IDs
+ * @returns {Promise<Map<string, Object>>} - Map of versionId -> version object
+ */
+async function getVersionsBatch(versionIds) {
+  if (!versionIds.length) return new Map();
+
+  try {
+    const url = new URL(`${API_BASES.modrinth}/versions`);
+    url.searchParams.set('ids', JSON.stringify(versionIds));
+
+    const res = await apiFetch(url);
+    if (!res.ok) {
+      console.warn(`Failed to batch fetch versions: ${res.status}`);
+      return new Map();
+    }
+
+    const versions = await res.json();
+    return new Map(versions.map(v => [v.id, v]));
+  } catch (e) {
+    console.warn('Error batch fetching versions:', e);
+    return new Map();
+  }
+}
+
+/**
+ * Look up the Modrinth versions that files belong to, by sha1
+ * @param {string[]} sha1s - File hashes
+ * @returns {Promise<Object>} - sha1 -> version object (hashes Modrinth doesn't know are absent)
+ * @throws {RequestFailedError} - When the lookup fails
+ */
+async function getVersionsFromHashes(sha1s) {
+  const cached = await apiCache.getMany(sha1s.map(h => `hash:${h}`));
+  const result = {};
+  const missing = [];
+  for (const sha1 of sha1s) {
+    const key = `hash:${sha1}`;
+    if (!cached.has(key)) missing.push(sha1);
+    else if (cached.get(key)) result[sha1] = cached.get(key); // null = known to be unknown on Modrinth
+  }
+  if (!missing.length) return result;
+
+  const url = `${API_BASES.modrinth}/version_files`;
+  const res = await apiFetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ hashes: missing, algorithm: "sha1" })
+  });
+  if (!res.ok) throw new RequestFailedError(`Hash lookup failed: HTTP ${res.status}`, { url, status: res.status });
+  const fetched = await res.json();
+
+  Object.assign(result, fetched);
+  await apiCache.setMany(missing.map(sha1 => [`hash:${sha1}`, fetched[sha1] || null]), CACHE_TTL.hashes);
+  return result;
+}
+
+/**
+ * Ask Modrinth for the latest version matching loaders/game versions for many files at once
+ * (POST /v2/version_files/update). Results are cached per hash and target.
+ * @param {string[]} sha1s - File hashes (one per project is enough)
+ * @param {string[]} loaders - Loaders to match (any of)
+ * @param {string[]} gameVersions - Minecraft versions to match (any of)
+ * @returns {Promise<Object>} - sha1 -> latest matching version (hashes without a match are absent)
+ * @throws {RequestFailedError} - When the request still fails after retries
+ */
+async function getLatestVersionsFromHashes(sha1s, loaders, gameVersions) {
+  const keyFor = sha1 => `update:${sha1}:${gameVersions.join(",")}:${loaders.join(",")}`;
+  const cached = await apiCache.getMany(sha1s.map(keyFor));
+  const result = {};
+  const missing = [];
+  for (const sha1 of sha1s) {
+    if (!cached.has(keyFor(sha1))) missing.push(sha1);
+    else if (cached.get(keyFor(sha1))) result[sha1] = cached.get(keyFor(sha1));
+  }
+  if (!missing.length) return result;
+
+  const url = `${API_BASES.modrinth}/version_files/update`;
+  const res = await apiFetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ hashes: missing, algorithm: "sha1", loaders, game_versions: gameVersions })
+  });
+  if (!res.ok) throw new RequestFailedError(`Bulk update lookup failed: HTTP ${res.status}`, { url, status: res.status });
+  const fetched = await res.json();
+
+  Object.assign(result, fetched);
+  await apiCache.setMany(missing.map(sha1 => [keyFor(sha1), fetched[sha1] || null]), CACHE_TTL.versions);
+  return result;
+}
+
+/**
+ * Resolve a Modrinth project ID from a project name
+ * @param {string} name - The project name to search for
+ * @param {string} category - Project category ("mod", "resourcepack", "shaderpack", "datapack")
+ * @returns {Promise<string|null>} - The project ID or null if not found
+ */
+async function resolveProjectIdFromName(name, category) {
+  const loader = getDefaultLoaderForCategory(category);
+
+  try {
+    const searchUrl = new URL(`${API_BASES.modrinth}/search`);
+    searchUrl.searchParams.set("query", name);
+    searchUrl.searchParams.set("limit", "10");
+
+    const searchRes = await apiFetch(searchUrl);
+    if (searchRes.ok) {
+      const searchData = await searchRes.json();
+      const hits = searchData.hits || [];
+
+      // Look for exact or close name matches
+      for (const hit of hits) {
+        if (hit.title.toLowerCase().includes(name.toLowerCase()) ||
+            name.toLowerCase().includes(hit.title.toLowerCase())) {
+          // Verify this project has some versions (basic validation)
+          try {
+            const versionUrl = new URL(`${API_BASES.modrinth}/project/${hit.project_id}/version`);
+            versionUrl.searchParams.set("game_versions", JSON.stringify(["1.20.1"])); // Use a common version for validation
+            versionUrl.searchParams.set("loaders", JSON.stringify([loader]));
+            versionUrl.searchParams.set("limit", "1");
+
+            const versionRes = await apiFetch(versionUrl);
+            if (versionRes.ok) {
+              const versions = await versionRes.json();
+              if (Array.isArray(versions) && versions.length > 0) {
+                return hit.project_id; // Found a valid project
+              }
+            }
+          } catch (e) {
+            console.warn(`Failed to validate project ${hit.project_id}:`, e);
+          }
+        }
+      }
+    }
+  } catch (e) {
+    console.warn(`Failed to resolve project ID for ${name}:`, e);
+  }
+  return null;
+}
+
+/**
+ * Check if a Modrinth project has any compatible versions for the given MC version and loader
+ * @param {string} projectId - The Modrinth project ID
+ * @param {string} targetMc - Target Minecraft version
+ * @param {string|string[]} loader - Target loader (e.g., "fabric", "minecraft"), or a loader chain
+ * @param {string} [projectName] - Optional project name for debugging
+ * @returns {Promise<boolean>} - True if compatible versions exist
+ */
+async function checkModrinthVersionAvailability(projectId, targetMc, loader, projectName = null) {
+  try {
+    const versions = await fetchModrinthVersions(projectId, targetMc, loader, projectName);
+    return versions && versions.length > 0;
+  } catch (e) {
+    if (e instanceof ProjectNotFoundError) return false;
+    throw e;
+  }
+}
+
+/**
+ * Get all target versions for a Modrinth project, most preferred first
+ * (native loader over fallback loaders, release over beta over alpha, then newest first).
+ * Each version gets a resolved_loader: the first loader of the chain it supports.
+ * @param {string} projectId - The Modrinth project ID
+ * @param {string} mc - Target Minecraft version
+ * @param {string|string[]} loader - Target loader, or a loader chain from getLoaderChain
+ * @param {string} [projectName] - Optional project name for debugging
+ * @returns {Promise<Array>} - Sorted array of version objects (empty if none found)
+ */
+async function getTargetVersions(projectId, targetMc, loader, projectName = null) {
+  const chain = Array.isArray(loader) ? loader : [loader];
+  const versions = await fetchModrinthVersions(projectId, targetMc, chain, projectName);
+  if (!versions || !versions.length) return [];
+
+  for (const v of versions) {
+    v.resolved_loader = chain.find(l => (v.loaders || []).includes(l)) || chain[0];
+  }
+
+  const rank = v => chain.indexOf(v.resolved_loader);
+  const tier = v => v.version_type === "release" ? 3 : v.version_type === "beta" ? 2 : 1;
+  versions.sort((a, b) => {
+    const r = rank(a) - rank(b);
+    if (r) return r;
+    const t = tier(b) - tier(a);
+    if (t) return t;
+    return new Date(b.date_published) - new Date(a.date_published);
+  });
+  return versions;
+}
+
+/**
+ * Get the best target version for a Modrinth project
+ * @param {string} projectId - The Modrinth project ID
+ * @param {string} mc - Target Minecraft version
+ * @param {string} loader - Target loader (e.g., "fabric", "minecraft")
+ * @param {string} [projectName] - Optional project name for debugging
+ * @returns {Promise<Object|null>} - Best version object or null if none found
+ */
+async function getBestTargetVersion(projectId, targetMc, loader, projectName = null) {
+  const versions = await getTargetVersions(projectId, targetMc, loader, projectName);
+  return versions[0] || null;
+}
+
+/**
+ * Check whether a version's release channel is allowed by a channel policy
+ * @param {Object} version - Version with a version_type ("release", "beta", "alpha")
+ * @param {string} policy - Key of CHANNEL_POLICIES
+ * @returns {boolean} - True if the version may be selected
+ */
+function isVersionAllowed(version, policy) {
+  const channels = CHANNEL_POLICIES[policy] || CHANNEL_POLICIES.any;
+  return channels.includes(version?.version_type || "release");
+}
+
+/**
+ * Reduce a Modrinth version object to the fields rows keep for the version picker and builder
+ * @param {Object} version - Version object from the Modrinth API
+ * @returns {Object} - Compact version
+ */
+function compactVersion(version) {
+  return {
+    id: version.id,
+    version_number: version.version_number,
+    version_type: version.version_type,
+    date_published: version.date_published,
+    loaders: version.loaders || [],
+    resolved_loader: version.resolved_loader || null,
+    dependencies: (version.dependencies || []).map(d => ({
+      project_id: d.project_id || null,
+      version_id: d.version_id || null,
+      dependency_type: d.dependency_type
+    })),
+    files: (version.files || []).map(f => ({
+      url: f.url,
+      filename: f.filename,
+      primary: !!f.primary,
+      file_type: f.file_type || null,
+      size: f.size,
+      hashes: { sha1: f.hashes?.sha1, sha512: f.hashes?.sha512 }
+    }))
+  };
+}
+
+/**
+ * Pick the loader to query for a project based on its category
+ * @param {Object} proj - Project metadata from getProjectsBatch (may be undefined)
+ * @param {string} cat - Row category ("mod", "resourcepack", "shaderpack", "datapack")
+ * @param {string} packLoader - Loader selected for the pack
+ * @returns {string} - Loader name to use in version queries
+ */
+function getLoaderForProject(proj, cat, packLoader) {
+  // For mods, use the pack loader (fabric, etc.)
+  if (cat === "mod") {
+    return packLoader;
+  }
+
+  // For resourcepacks and shaderpacks, use the project's actual loaders if available
+  // Otherwise fall back to category defaults
+  if (proj?.loaders && Array.isArray(proj.loaders) && proj.loaders.length > 0) {
+    return proj.loaders[0]; // Use first available loader
+  }
+
+  // Fallback if no project data available
+  return (cat === "resourcepack" || cat === "shaderpack" || cat === "datapack") ? "minecraft" : packLoader;
+}
+
+/**
+ * Map a Modrinth project_type to the row category used in the results tables
+ * @param {string} projectType - project_type from Modrinth ("mod", "resourcepack", "shader", "datapack")
+ * @returns {string} - Row category
+ */
+function getCategoryForProjectType(projectType) {
+  switch (projectType) {
+    case "resourcepack": return "resourcepack";
+    case "shader":       return "shaderpack";
+    case "datapack":     return "datapack";
+    default:             return "mod";
+  }
+}
+
+/**
+ * Build the Modrinth page URL for a project
+ * @param {Object} proj - Project metadata (may be undefined)
+ * @param {string} pid - Project ID
+ * @param {string} cat - Row category
+ * @returns {string} - Project page URL
+ */
+function getProjectUrl(proj, pid, cat) {
+  const typePath =
+    (proj?.project_type === "mod" || cat === "mod") ? "mod" :
+    (proj?.project_type === "resourcepack" || cat === "resourcepack") ? "resourcepack" :
+    (proj?.project_type === "shader" || cat === "shaderpack") ? "shader" :
+    (proj?.project_type === "datapack" || cat === "datapack") ? "datapack" :
+    "project";
+  return proj?.slug
+    ? `https://modrinth.com/${typePath}/${proj.slug}`
+    : `https://modrinth.com/project/${pid}`;
+}
+
+async function mapLimitProgress(items, limit, fn, onTick) {
+  const out = new Array(items.length);
+  let next = 0, done = 0;
+  async function worker() {
+    while (next < items.length) {
+      const idx = next++;
+      out[idx] = await fn(items[idx]);
+      done++; onTick?.(done, items.length);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+/**
+ * Look up a project's target versions (plus the GitHub releases fallback) without throwing
+ * on lookup failures; those are reported as a row status instead
+ * @param {string} pid - Modrinth project ID
+ * @param {string} targetMc - Target Minecraft version
+ * @param {string} loader - Loader for the project (its fallback chain is queried too)
+ * @param {Object} [proj] - Project metadata (its source_url points the fallback at a GitHub repository)
+ * @param {string} [name] - Project name for debugging
+ * @param {string} [assetPattern] - Regex for the project's GitHub release assets (see matchGitHubAsset)
+ * @returns {Promise<{versions: Object[], fallback: Object|null, checkStatus: string|null, checkError: string|null}>}
+ */
+async function checkProjectTarget(pid, targetMc, loader, proj = null, name = null, assetPattern = null) {
+  const chain = getLoaderChain(loader, targetMc);
+  let versions;
+  try {
+    versions = await getTargetVersions(pid, targetMc, chain, name);
+  } catch (e) {
+    if (e instanceof ProjectNotFoundError) {
+      return { versions: [], fallback: null, checkStatus: ROW_STATUS.PROJECT_DELETED, checkError: e.message };
+    }
+    if (!(e instanceof RequestFailedError)) throw e;
+    console.warn(`Check failed for ${name || pid}: ${e.message}`);
+    return { versions: [], fallback: null, checkStatus: ROW_STATUS.ERROR, checkError: e.message };
+  }
+
+  // GitHub fallback (only if Modrinth has no target build and the mod's source is on GitHub)
+  let fallback = null;
+  const repo = githubRepoFromUrl(proj?.source_url);
+  if (!versions.length && repo && LOADER_NAMES[loader]) {
+    try {
+      fallback = await fetchGitHubRelease(repo, targetMc, chain, { assetPattern });
+    } catch (e) {
+      // Rate limited or offline: GitHub may well have a build, so this isn't "unavailable"
+      if (!(e instanceof RequestFailedError)) throw e;
+      console.warn(`GitHub fallback for ${name || pid} failed: ${e.message}`);
+      return { versions, fallback: null, checkStatus: ROW_STATUS.ERROR, checkError: `GitHub: ${e.message}` };
+    }
+  }
+  return { versions, fallback, checkStatus: null, checkError: null };
+}
+
+/**
+ * Point a row's target fields at a version (Modrinth compact version or GitHub fallback)
+ * @param {Object} row - Results row
+ * @param {Object|null} version - Selected version, or null when nothing is available
+ * @param {string} source - "modrinth", "github-fallback" or "none"
+ */
+function applyTargetVersion(row, version, source) {
+  // Cache file metadata (only for Modrinth results)
+  const fmeta = source === "modrinth" ? pickPrimaryFile(version) : null;
+
+  Object.assign(row, {
+    target_available: !!version,
+    target_version_number: version?.version_number || "-",
+    target_version_id: source === "modrinth" ? version?.id || null : null,
+    target_version_type: version?.version_type || null,
+    // loader whose build satisfied the row (differs from target_loader when a fallback was used)
+    resolved_loader: version?.resolved_loader || null,
+    target_date: version?.date_published || null,
+    target_dependencies: version?.dependencies || [],
+    download_url: version?.files?.[0]?.url || version?.download_url || null,
+    source,
+    // cached file meta for builder
+    target_file_sha1:   fmeta?.hashes?.sha1 || null,
+    target_file_sha512: fmeta?.hashes?.sha512 || null,
+    target_file_size:   Number.isFinite(fmeta?.size) ? fmeta.size : null,
+    target_file_url:    fmeta?.url || null,
+    target_file_name:   fmeta?.filename || null,
+    // every file of the target version, for packs that ship more than the primary one
+    target_files:       source === "modrinth" ? version?.files || [] : []
+  });
+}
+
+/**
+ * The env a project's files should get, from its client_side / server_side on Modrinth
+ * ("unknown" and missing sides count as required, like files without env)
+ * @param {Object|null} proj - Modrinth project
+ * @returns {Object|null} - { client, server }, or null without project data
+ */
+function suggestEnv(proj) {
+  if (!proj) return null;
+  const side = value => ENV_VALUES.includes(value) ? value : "required";
+  return { client: side(proj.client_side), server: side(proj.server_side) };
+}
+
+const sameEnv = (a, b) => a.client === b.client && a.server === b.server;
+
+/**
+ * Build a results row for a project and its selected target version
+ * @param {Object} opts
+ * @param {string} opts.pid - Modrinth project ID
+ * @param {Object} [opts.proj] - Project metadata from getProjectsBatch
+ * @param {string} opts.cat - Row category
+ * @param {string} opts.name - Display name
+ * @param {Object} [opts.currentVersion] - Version currently in the pack (null for added projects)
+ * @param {string} opts.currentMc - Minecraft version of the source pack
+ * @param {string} opts.targetMc - Target Minecraft version
+ * @param {string} opts.loader - Loader used for the target lookup
+ * @param {Object[]} [opts.versions] - Target versions from getTargetVersions, most preferred first
+ * @param {Object} [opts.fallback] - GitHub fallback release when Modrinth has nothing
+ * @param {string} [opts.policy] - Channel policy used to pick the target
+ * @param {string} [opts.checkStatus] - ROW_STATUS when the check couldn't complete (error, project-deleted, skipped)
+ * @param {string} [opts.checkError] - Error message for a failed check
+ * @param {boolean} [opts.versionsComplete] - False when versions only holds the bulk lookup result
+ * @returns {Object} - Results row
+ */
+function makeRow({ pid, proj, cat, name, currentVersion, currentMc, targetMc, loader, versions = [], fallback = null, policy = "any", checkStatus = null, checkError = null, versionsComplete = true, embeddedPaths = [], originalEnv = null }) {
+  const row = {
+    project_id: pid,
+    project_url: getProjectUrl(proj, pid, cat),
+    category: cat,
+    name,
+    slug: proj?.slug,
+    current_version_number: currentVersion?.version_number || "-",
+    current_mc: currentMc,
+    target_loader: loader,
+    target_mc: targetMc,
+    // every target version, for the per-row version picker
+    versions: versions.map(compactVersion),
+    versions_complete: versionsComplete, // false when only the bulk lookup's pick is known
+    version_overridden: false,
+    channel_policy: null, // per-row override of the pack's channel policy
+    disposition: null, // user's build choice (ROW_DISPOSITION); null = update if possible, else remove
+    fallback,
+    github_repo: githubRepoFromUrl(proj?.source_url), // "owner/repo" the GitHub fallback looks in
+    known_project: !!proj,
+    // override files (jars shipped inside the pack) that are this project, besides its index entries
+    embedded_paths: embeddedPaths,
+    env: null, // user's env choice for the project's files; null = the original env, else Modrinth's
+    env_original: originalEnv, // env of the project's file in the pack (null when the pack doesn't have it)
+    env_suggested: suggestEnv(proj), // env from Modrinth's client_side / server_side
+    // why the check couldn't tell whether a build exists (null when it completed)
+    check_status: checkStatus,
+    check_error: checkError
+  };
+
+  selectRowTarget(row, policy);
+  return row;
+}
+
+/**
+ * Pick the target version of a row that the channel policy allows. Falls back to the
+ * GitHub release (if any) only when Modrinth has no target versions at all.
+ * @param {Object} row - Results row
+ * @param {string} policy - Effective channel policy for the row (see CHANNEL_POLICIES)
+ */
+function selectRowTarget(row, policy) {
+  const allowed = row.versions.filter(v => isVersionAllowed(v, policy));
+  row.excluded_by_policy = row.versions.length > 0 && !allowed.length;
+
+  if (allowed.length) applyTargetVersion(row, allowed[0], "modrinth");
+  else if (!row.versions.length && row.fallback) applyTargetVersion(row, row.fallback, "github-fallback");
+  else applyTargetVersion(row, null, row.known_project ? "modrinth" : "none");
+
+  row.status = row.target_available ? ROW_STATUS.AVAILABLE : (row.check_status || ROW_STATUS.UNAVAILABLE);
+}
+
+// Row counts; failed and skipped checks aren't missing, and deleted projects are
+function summarizeRows(rows) {
+  const total = rows.length;
+  const available = rows.filter(r => r.target_available).length;
+  const excludedByPolicy = rows.filter(r => r.excluded_by_policy).length;
+  const failed = rows.filter(r => r.status === ROW_STATUS.ERROR || r.status === ROW_STATUS.SKIPPED).length;
+  return { total, available, missing: total - available - excludedByPolicy - failed, excludedByPolicy, failed };
+}
+
+/* ---------- MODPACK CLASS ---------- */
+
+// Reporter hooks a Modpack calls while it works; the UI and the CLI each pass their own
+const SILENT_REPORTER = {
+  phase(name, extra = "") {},          // current step, plus optional detail text
+  progress(current, total) {},         // overall progress
+  summary(text) {},                    // one-line status above the results
+  packLoaded(name) {},                 // pack name, once the index has been read
+  raw(data) {},                        // debug data worth showing when a step comes up empty
+  async confirm(message) { return false; } // yes/no question; silent runs answer no
+};
+
+class Modpack {
+  /**
+   * @param {Object} [reporter] - Progress hooks (see SILENT_REPORTER); missing hooks do nothing
+   */
+  constructor(reporter = {}) {
+    this.report = { ...SILENT_REPORTER, ...reporter };
+    this.githubAssetPatterns = {}; // project ID or slug -> regex for its GitHub release assets; outlives reset()
+    this.reset();
+  }
+
+  reset() {
+    this.name = "";
+    this.packName = ""; // Alias for name, used for missing items
+    this.targetMc = "";
+    this.selectedLoader = "fabric";
+    this.channelPolicy = "any";
+    this.stopRequested = false;
+    this.sourceLoader = null;
+    this.sourceLoaderVersion = null;
+    this.sourceMc = null;
+    this.index = null;
+    this.zip = null;
+    this.rows = [];
+    this.conflicts = [];
+    this.externalFiles = [];
+    this.file = null; // the .mrpack last passed to load()
+    this.overrideFiles = []; // { folder, path, size, keep } for every file under OVERRIDE_FOLDERS
+    this.projectIdToOrigFiles = new Map(); // project_id -> original index entries (a project can ship several)
+    this.projectIdToEmbedded = new Map(); // project_id -> index-style entries for its jars found in the overrides
+    this.origFileInfo = new Map();
+    this.lastBuild = null;
+    this.lastBuildZip = null; // JSZip of the last build, for buildServerPack()
+    this.matrix = null; // { targets: [mc], columns: Map<mc, { rows }> } after analyzeMatrix
+  }
+
+  setMetadata(name, targetMc, loader) {
+    this.name = name;
+    this.packName = name; // Keep packName in sync with name
+    this.targetMc = targetMc;
+    this.selectedLoader = loader;
+  }
+
+  setData(index, zip, rows, projectIdToOrigFiles) {
+    this.index = index;
+    this.zip = zip;
+    this.rows = rows || [];
+    this.projectIdToOrigFiles = projectIdToOrigFiles || new Map();
+  }
+
+  hasData() {
+    return this.rows.length > 0 && this.index && this.zip;
+  }
+
+  // Only rows that were checked and genuinely lack a build count as missing. Items excluded only by
+  // the channel policy have a build on another channel, and failed/skipped checks tell us nothing.
+  getMissingItems() {
+    return this.rows.filter(row => row.status === ROW_STATUS.UNAVAILABLE && !row.excluded_by_policy);
+  }
+
+  // Rows worth checking again: the lookup failed or never ran
+  getFailedItems() {
+    return this.rows.filter(row => row.status === ROW_STATUS.ERROR || row.status === ROW_STATUS.SKIPPED);
+  }
+
+  // Let a running check finish early; rows not checked yet are marked as skipped
+  stopCheck() {
+    this.stopRequested = true;
+  }
+
+  /**
+   * Check failed and skipped rows again
+   * @returns {Promise<Object[]>} - Rows that are still failed or skipped afterwards
+   */
+  async retryFailedRows() {
+    this.stopRequested = false;
+    const failed = this.getFailedItems();
+    const { projectMap, projectsFailed } = await getProjectsForCheck(failed.map(r => r.project_id));
+
+    await mapLimitProgress(failed, MAX_CONCURRENCY, async (row) => {
+      const proj = projectMap.get(row.project_id);
+      if (proj && !row.known_project) {
+        // Metadata the first check couldn't fetch
+        Object.assign(row, {
+          project_url: getProjectUrl(proj, row.project_id, row.category),
+          name: proj.title || row.name,
+          slug: proj.slug,
+          target_loader: getLoaderForProject(proj, row.category, this.selectedLoader),
+          env_suggested: suggestEnv(proj)
+        });
+      }
+      const check = this.stopRequested
+        ? { versions: [], fallback: null, checkStatus: ROW_STATUS.SKIPPED, checkError: null }
+        : projectsFailed || await checkProjectTarget(row.project_id, this.targetMc, row.target_loader, proj, row.name,
+          this.getGitHubAssetPattern(row.project_id, row.slug));
+      row.versions = check.versions.map(compactVersion);
+      row.versions_complete = true;
+      row.fallback = check.fallback;
+      row.github_repo = githubRepoFromUrl(proj?.source_url) || row.github_repo;
+      row.check_status = check.checkStatus;
+      row.check_error = check.checkError;
+      row.known_project = row.known_project || !!proj;
+      row.version_overridden = false;
+      selectRowTarget(row, this.getEffectivePolicy(row));
+    }, (done, total) => this.report.phase("Retrying failed rows…", `${done} / ${total}`));
+
+    await this.afterTargetsChanged(failed.filter(r => r.target_available));
+    return this.getFailedItems();
+  }
+
+  /**
+   * The asset pattern set for a project, by project ID or else by slug
+   * @param {string} projectId - Project ID
+   * @param {string} [slug] - Project slug
+   * @returns {string|null} - Regex source, or null to match by MC version and loader name
+   */
+  getGitHubAssetPattern(projectId, slug = null) {
+    return this.githubAssetPatterns[projectId] || (slug && this.githubAssetPatterns[slug]) || null;
+  }
+
+  /**
+   * Replace all asset patterns, e.g. with the ones saved by the UI or passed to the CLI
+   * @param {Object} patterns - Project ID or slug -> regex source
+   * @throws {Error} - When a pattern isn't a valid regex
+   */
+  setGitHubAssetPatterns(patterns) {
+    Object.values(patterns).forEach(validateAssetPattern);
+    this.githubAssetPatterns = { ...patterns };
+  }
+
+  /**
+   * Set or clear a project's asset pattern and look through its GitHub releases again
+   * @param {string} projectId - Project of the row
+   * @param {string} pattern - Regex source; empty to go back to the default matching
+   * @returns {Promise<Object|null>} - The re-checked row, or null if it has no GitHub fallback to redo
+   * @throws {Error} - When the pattern isn't a valid regex
+   */
+  async setGitHubAssetPattern(projectId, pattern) {
+    if (pattern) {
+      validateAssetPattern(pattern);
+      this.githubAssetPatterns[projectId] = pattern;
+    } else {
+      delete this.githubAssetPatterns[projectId];
+    }
+
+    const row = this.rows.find(r => r.project_id === projectId);
+    if (!row?.github_repo || row.versions.length || row.check_status) return null;
+    try {
+      row.fallback = await fetchGitHubRelease(row.github_repo, this.targetMc, getLoaderChain(row.target_loader, this.targetMc),
+        { assetPattern: pattern || null });
+    } catch (e) {
+      if (!(e instanceof RequestFailedError)) throw e;
+      console.warn(`GitHub fallback for ${row.name} failed: ${e.message}`);
+      row.fallback = null;
+      row.check_status = ROW_STATUS.ERROR; // retryFailedRows() picks it up again, with the pattern
+      row.check_error = `GitHub: ${e.message}`;
+    }
+    selectRowTarget(row, this.getEffectivePolicy(row));
+    this.checkCompatibility();
+    return row;
+  }
+
+  getPolicyExcludedItems() {
+    return this.rows.filter(row => row.excluded_by_policy);
+  }
+
+  getEffectivePolicy(row) {
+    return row.channel_policy || this.channelPolicy;
+  }
+
+  /**
+   * What build() will do with a row: the user's choice while it still applies, otherwise
+   * update when there is a target version and remove when there isn't
+   * @param {Object} row - Results row
+   * @returns {string} - A ROW_DISPOSITION value
+   */
+  getDisposition(row) {
+    if (row.disposition === ROW_DISPOSITION.KEEP && this.hasOriginalFile(row)) return ROW_DISPOSITION.KEEP;
+    if (row.disposition === ROW_DISPOSITION.REMOVE) return ROW_DISPOSITION.REMOVE;
+    return row.target_available ? ROW_DISPOSITION.UPDATE : ROW_DISPOSITION.REMOVE;
+  }
+
+  // env of a project's first file in the pack (index entry, else embedded jar); null when it has none
+  getOriginalEnv(projectId) {
+    const file = this.projectIdToOrigFiles.get(projectId)?.[0] || this.projectIdToEmbedded.get(projectId)?.[0];
+    return file ? { ...DEFAULT_ENV, ...file.env } : null;
+  }
+
+  /**
+   * env the build writes for a row's files: the user's choice, else the pack's, else Modrinth's
+   * @param {Object} row - Results row
+   * @returns {Object} - { client, server }
+   */
+  getEnv(row) {
+    return row.env || row.env_original || row.env_suggested || { ...DEFAULT_ENV };
+  }
+
+  // True when the pack's env for a project disagrees with Modrinth's client/server support
+  // (and the user hasn't settled it by picking an env)
+  hasEnvMismatch(row) {
+    return !!(row.env_original && row.env_suggested && !sameEnv(this.getEnv(row), row.env_suggested));
+  }
+
+  getEnvMismatches() {
+    return this.rows.filter(r => this.hasEnvMismatch(r));
+  }
+
+  /**
+   * Set one side of the env the build writes for a row's files
+   * @param {string} projectId - Row's project
+   * @param {string} side - "client" or "server"
+   * @param {string} value - One of ENV_VALUES
+   * @returns {boolean} - False when the row, side or value is unknown
+   */
+  setRowEnv(projectId, side, value) {
+    const row = this.rows.find(r => r.project_id === projectId);
+    if (!row || !["client", "server"].includes(side) || !ENV_VALUES.includes(value)) return false;
+    const env = { ...this.getEnv(row), [side]: value };
+    // Back to what it would be anyway: drop the choice
+    row.env = sameEnv(env, row.env_original || row.env_suggested || DEFAULT_ENV) ? null : env;
+    return true;
+  }
+
+  // Use Modrinth's client/server support for every row where the pack disagrees with it
+  applySuggestedEnv() {
+    for (const row of this.getEnvMismatches()) row.env = { ...row.env_suggested };
+  }
+
+  // Rows that came from the pack (not added as dependencies) can keep their current file
+  hasOriginalFile(row) {
+    return this.projectIdToOrigFiles.has(row.project_id) || this.projectIdToEmbedded.has(row.project_id);
+  }
+
+  /**
+   * Choose what build() does with a row
+   * @param {string} projectId - Project of the row
+   * @param {string} disposition - A ROW_DISPOSITION value
+   * @returns {boolean} - False if the row doesn't exist or can't take that disposition
+   */
+  setRowDisposition(projectId, disposition) {
+    const row = this.rows.find(r => r.project_id === projectId);
+    if (!row) return false;
+    if (disposition === ROW_DISPOSITION.KEEP && !this.hasOriginalFile(row)) return false;
+    if (disposition === ROW_DISPOSITION.UPDATE && !row.target_available) return false;
+    row.disposition = disposition === ROW_DISPOSITION.UPDATE ? null : disposition;
+    // Kept and removed rows no longer take part in the incompatibility check
+    this.checkCompatibility();
+    return true;
+  }
+
+  getAvailableItems() {
+    return this.rows.filter(row => row.target_available);
+  }
+
+  getKeptExternalFiles() {
+    return this.externalFiles.filter(e => e.keep);
+  }
+
+  setExternalFileKept(index, keep) {
+    const entry = this.externalFiles[index];
+    if (entry) entry.keep = !!keep;
+  }
+
+  getKeptOverrideFiles() {
+    return this.overrideFiles.filter(e => e.keep);
+  }
+
+  setOverrideFileKept(index, keep) {
+    const entry = this.overrideFiles[index];
+    if (entry) entry.keep = !!keep;
+  }
+
+  /**
+   * File count and size of each override folder, all of it and what build() will copy
+   * @returns {Object[]} - { folder, count, size, keptCount, keptSize } per folder in OVERRIDE_FOLDERS
+   */
+  getOverrideSummary() {
+    return OVERRIDE_FOLDERS.map(folder => {
+      const files = this.overrideFiles.filter(e => e.folder === folder);
+      const kept = files.filter(e => e.keep);
+      const size = list => list.reduce((n, e) => n + (e.size || 0), 0);
+      return { folder, count: files.length, size: size(files), keptCount: kept.length, keptSize: size(kept) };
+    });
+  }
+
+  // Row counts of the active result set (see summarizeRows)
+  getSummary() {
+    return summarizeRows(this.rows);
+  }
+
+  // Analysis method (moved from standalone function)
+  /**
+   * Read the .mrpack zip and its modrinth.index.json, and detect the pack's own loader
+   * @param {File|Blob} file - The .mrpack file
+   * @returns {Promise<Object|null>} - Parsed index, or null if the zip has none
+   */
+  async load(file) {
+    const zipAb = await file.arrayBuffer();
+    const zip = await JSZip.loadAsync(zipAb);
+    this.zip = zip;
+    this.lastBuild = null; // a build belongs to the pack it was made from
+    this.lastBuildZip = null;
+
+    // Files dropped from the overrides stay dropped when the same pack is checked again
+    const previous = file === this.file ? new Map(this.overrideFiles.map(e => [e.path, e.keep])) : new Map();
+    if (file !== this.file) {
+      // Results belong to the pack they were checked from; another pack needs its own check
+      this.rows = [];
+      this.conflicts = [];
+      this.externalFiles = [];
+      this.projectIdToOrigFiles = new Map();
+      this.projectIdToEmbedded = new Map();
+      this.origFileInfo = new Map();
+      this.matrix = null;
+    }
+    this.file = file;
+    this.overrideFiles = Object.values(zip.files)
+      .filter(e => !e.dir && OVERRIDE_FOLDERS.some(folder => e.name.startsWith(folder)))
+      .map(e => ({
+        folder: OVERRIDE_FOLDERS.find(folder => e.name.startsWith(folder)),
+        path: e.name,
+        // From the zip's central directory; JSZip has no public accessor for it
+        size: e._data?.uncompressedSize ?? null,
+        keep: previous.get(e.name) ?? true
+      }))
+      .sort((a, b) => a.path.localeCompare(b.path));
+
+    const indexFile = zip.file("modrinth.index.json");
+    if (!indexFile) return null;
+    const index = JSON.parse(await indexFile.async("string"));
+    this.index = index;
+    this.name = index?.name || "Updated Pack";
+    this.packName = this.name; // Keep packName in sync
+
+    const detected = detectPackLoader(index);
+    this.sourceLoader = detected.loader;
+    this.sourceLoaderVersion = detected.version;
+    this.sourceMc = detected.mc;
+    return index;
+  }
+
+  // True when the selected loader differs from the one the pack was made for
+  isCrossLoader() {
+    return !!this.sourceLoader && this.sourceLoader !== this.selectedLoader;
+  }
+
+  /**
+   * Hash every jar and zip in the override folders so they can be looked up on Modrinth
+   * @returns {Promise<Object[]>} - Index-style entries ({ path, hashes, env, fileSize }) with the
+   *   override file they stand for in `override`; `path` is relative to the override folder
+   */
+  async hashEmbeddedFiles() {
+    const candidates = this.overrideFiles.filter(e => /\.(jar|zip)$/i.test(e.path));
+    const entries = [];
+    for (const e of candidates) {
+      const bytes = await this.zip.file(e.path).async("uint8array");
+      entries.push({
+        path: e.path.slice(e.folder.length),
+        hashes: { sha1: await digestHex("SHA-1", bytes) },
+        env: structuredClone(OVERRIDE_FOLDER_ENV[e.folder]),
+        fileSize: bytes.length,
+        override: e.path
+      });
+    }
+    return entries;
+  }
+
+  async analyze(file, targetMc, packLoader, channelPolicy = this.channelPolicy) {
+    this.stopRequested = false;
+    this.matrix = null;
+    this.channelPolicy = channelPolicy;
+    this.selectedLoader = packLoader;
+    this.report.phase("Reading pack…");
+    const index = await this.load(file);
+    if (!index) { this.report.phase("Error", "No modrinth.index.json"); return null; }
+
+    if (this.isCrossLoader()) {
+      console.log(`[DEBUG] Cross-loader migration: ${this.sourceLoader} → ${packLoader}`);
+    }
+
+    this.report.packLoaded(this.name);
+
+    const PACK_MC = index?.dependencies?.minecraft || "-";
+
+    // collect sha1s and keep a mapping to original index file entries
+    const sha1ToPath = new Map();
+    const sha1s = [];
+    for (const f of index.files || []) {
+      const sha1 = f?.hashes?.sha1;
+      // The same file can sit under two paths (e.g. mods/ and resourcepacks/); look it up once
+      if (sha1 && !sha1ToPath.has(sha1)) {
+        sha1s.push(sha1);
+        sha1ToPath.set(sha1, f.path || "");
+      }
+    }
+
+    // Jars and zips shipped inside the override folders are looked up too, as if they were index entries
+    this.report.phase("Hashing override files…");
+    const embedded = await this.hashEmbeddedFiles();
+    for (const e of embedded) {
+      if (!sha1ToPath.has(e.hashes.sha1)) {
+        sha1s.push(e.hashes.sha1);
+        sha1ToPath.set(e.hashes.sha1, e.path);
+      }
+    }
+    if (!sha1s.length) { this.report.phase("Done", "No file hashes in pack."); return null; }
+
+    this.report.summary(`Found ${sha1s.length} entries. Resolving projects…`);
+    this.report.progress(1, 6);
+
+    // Step 2: hashes -> versions
+    this.report.phase("Resolving versions from hashes…");
+    const versionMap = await getVersionsFromHashes(sha1s);
+    this.report.progress(2, 6);
+
+    // Step 3: collapse to unique projects and detect category, and remember every original file obj per project
+    this.report.phase("Collapsing to projects…");
+    this.projectIdToOrigFiles = new Map();
+    const projectEntries = new Map(); // project_id -> { anyVersion, exampleSha1, category }
+    for (const [sha1, ver] of Object.entries(versionMap)) {
+      if (!ver || !ver.project_id) continue;
+      if (!projectEntries.has(ver.project_id)) {
+        const path = sha1ToPath.get(sha1) || "";
+        const category = path.startsWith("resourcepacks/") ? "resourcepack"
+                       : path.startsWith("shaderpacks/")    ? "shaderpack"
+                       : path.startsWith("datapacks/")      ? "datapack"
+                       : "mod";
+        projectEntries.set(ver.project_id, { anyVersion: ver, exampleSha1: sha1, category });
+      }
+    }
+    const groupByProject = (files, map) => {
+      for (const f of files) {
+        const pid = versionMap[f?.hashes?.sha1]?.project_id;
+        if (!pid) continue;
+        if (!map.has(pid)) map.set(pid, []);
+        map.get(pid).push(f);
+      }
+      return map;
+    };
+    groupByProject(index.files || [], this.projectIdToOrigFiles);
+    this.projectIdToEmbedded = groupByProject(embedded, new Map());
+    const unresolvedEmbedded = embedded.filter(e => !versionMap[e.hashes.sha1]?.project_id);
+    if (unresolvedEmbedded.length) {
+      console.log(`[DEBUG] ${unresolvedEmbedded.length} override file(s) not found on Modrinth: ${unresolvedEmbedded.map(e => e.override).join(", ")}`);
+    }
+
+    // Remember which project/version (and which file of it) every original file is,
+    // for matching target files in build() and for the diff report
+    this.origFileInfo = new Map();
+    for (const [sha1, ver] of Object.entries(versionMap)) {
+      if (!ver?.project_id) continue;
+      const file = (ver.files || []).find(f => f.hashes?.sha1 === sha1);
+      this.origFileInfo.set(sha1, {
+        project_id: ver.project_id,
+        version_number: ver.version_number,
+        date_published: ver.date_published,
+        file: file ? { filename: file.filename, primary: !!file.primary, file_type: file.file_type || null } : null
+      });
+    }
+
+    // Files Modrinth doesn't know about (custom jars, CurseForge CDN, GitHub, ...) are kept aside
+    // so build() can carry them through unchanged unless the user drops them
+    this.externalFiles = (index.files || [])
+      .filter(f => !f?.hashes?.sha1 || !versionMap[f.hashes.sha1]?.project_id)
+      .map(f => ({ file: f, path: f?.path || "", downloads: f?.downloads || [], keep: true }));
+    if (this.externalFiles.length) {
+      console.log(`[DEBUG] ${this.externalFiles.length} file(s) not found on Modrinth: ${this.externalFiles.map(e => e.path).join(", ")}`);
+    }
+    const projectIds = [...projectEntries.keys()];
+    if (!projectIds.length) {
+      this.report.phase("Done", "No projects resolved."); this.report.raw(versionMap); return null;
+    }
+    this.report.progress(3, 6);
+
+    // Step 4: fetch project info + best target version, with progress (+ GitHub fallback only if Modrinth missing)
+    this.report.phase("Fetching project metadata…");
+    const { projectMap, projectsFailed } = await getProjectsForCheck(projectIds);
+
+    this.report.phase("Looking up latest versions in bulk…");
+    const bulk = projectsFailed ? new Map() : await this.lookupLatestInBulk(projectIds, projectEntries, projectMap, targetMc, packLoader);
+    this.report.progress(4, 6);
+
+    // Only projects the bulk lookup couldn't settle need a per-project query
+    this.report.phase("Checking target availability…", `0 / ${projectIds.length}`);
+    const rows = await mapLimitProgress(
+      projectIds,
+      MAX_CONCURRENCY,
+      async (pid) => {
+        const rep = projectEntries.get(pid)?.anyVersion;
+        const cat = projectEntries.get(pid)?.category || "mod";
+        const proj = projectMap.get(pid);
+        const projectName = proj?.title || rep?.name || "(unknown)";
+        const loader = getLoaderForProject(proj, cat, packLoader);
+        const check = this.stopRequested
+          ? { versions: [], fallback: null, checkStatus: ROW_STATUS.SKIPPED, checkError: null }
+          : projectsFailed ? projectsFailed
+          : bulk.has(pid)
+            ? { versions: [bulk.get(pid)], fallback: null, checkStatus: null, checkError: null, versionsComplete: false }
+            : await checkProjectTarget(pid, targetMc, loader, proj, projectName, this.getGitHubAssetPattern(pid, proj?.slug));
+
+        return makeRow({
+          pid, proj, cat, name: projectName, currentVersion: rep, currentMc: PACK_MC, targetMc, loader,
+          policy: channelPolicy, embeddedPaths: (this.projectIdToEmbedded.get(pid) || []).map(e => e.override),
+          originalEnv: this.getOriginalEnv(pid), ...check
+        });
+      },
+      (done, total) => {
+        this.report.phase("Checking target availability…", `${done} / ${total}`);
+        const stepBase = 4;
+        const stepWidth = done / total;
+        this.report.progress(stepBase + stepWidth, 6);
+      }
+    );
+
+    // Step 5: pull in required dependencies that the target versions need but the pack doesn't have
+    this.report.phase("Resolving dependencies…");
+    this.report.progress(5, 6);
+    const depRows = await this.resolveDependencies(rows, targetMc, packLoader, PACK_MC);
+    rows.push(...depRows);
+
+    // Step 6: cross-check the selected target versions for declared incompatibilities
+    this.checkCompatibility(rows);
+
+    this.rows = rows;
+    this.targetMc = targetMc;
+    this.selectedLoader = packLoader;
+
+    return rows;
+  }
+
+  /**
+   * Analyze the pack against several Minecraft versions, one column per version.
+   * Each column keeps its own rows (with their own overrides and dependencies); the first column becomes
+   * the active one, and selectMatrixColumn() switches which column build() and the table use.
+   * @param {File} file - .mrpack file
+   * @param {string[]} targetMcs - Minecraft versions to compare
+   * @param {string} packLoader - Target loader
+   * @param {string} [channelPolicy] - Release channel policy
+   * @returns {Promise<Object[]|null>} - Rows of the active column, or null if the pack couldn't be read
+   */
+  async analyzeMatrix(file, targetMcs, packLoader, channelPolicy = this.channelPolicy) {
+    const columns = new Map();
+    for (const [i, mc] of targetMcs.entries()) {
+      this.report.summary(`Checking ${mc} (${i + 1} / ${targetMcs.length})…`);
+      const rows = await this.analyze(file, mc, packLoader, channelPolicy);
+      if (!rows) return null;
+      columns.set(mc, { rows });
+      // analyze() clears the flag when it starts, so check it between columns
+      if (this.stopRequested) break;
+    }
+
+    this.matrix = { targets: [...columns.keys()], columns };
+    this.selectMatrixColumn(this.matrix.targets[0]);
+    return this.rows;
+  }
+
+  /**
+   * Make one matrix column the active result set
+   * @param {string} mc - Minecraft version of the column
+   * @returns {boolean} - False if there is no such column
+   */
+  selectMatrixColumn(mc) {
+    const column = this.matrix?.columns.get(mc);
+    if (!column) return false;
+    this.rows = column.rows;
+    this.targetMc = mc;
+    this.checkCompatibility();
+    return true;
+  }
+
+  /**
+   * Per-column totals for the matrix view, counted like getSummary()
+   * @returns {Array<{mc: string, total: number, available: number, missing: number, excludedByPolicy: number, failed: number}>}
+   */
+  getMatrixTotals() {
+    if (!this.matrix) return [];
+    return this.matrix.targets.map(mc => ({ mc, ...summarizeRows(this.matrix.columns.get(mc).rows) }));
+  }
+
+  /**
+   * Settle as many projects as possible with one /version_files/update call per loader chain.
+   * A bulk result is only taken as-is when it's a release for the native loader: releases rank
+   * first under every channel policy, so the per-project query would pick the same version.
+   * Anything else (betas, fallback-loader builds, no result) goes through the per-project path,
+   * as does everything when the bulk call fails.
+   * @returns {Promise<Map<string, Object>>} - project_id -> selected version
+   */
+  async lookupLatestInBulk(projectIds, projectEntries, projectMap, targetMc, packLoader) {
+    const groups = new Map(); // loader chain key -> { chain, sha1s, pidBySha1 }
+    for (const pid of projectIds) {
+      const entry = projectEntries.get(pid);
+      const loader = getLoaderForProject(projectMap.get(pid), entry.category, packLoader);
+      const chain = getLoaderChain(loader, targetMc);
+      const key = chain.join(",");
+      if (!groups.has(key)) groups.set(key, { chain, sha1s: [], pidBySha1: new Map() });
+      groups.get(key).sha1s.push(entry.exampleSha1);
+      groups.get(key).pidBySha1.set(entry.exampleSha1, pid);
+    }
+
+    const settled = new Map();
+    for (const { chain, sha1s, pidBySha1 } of groups.values()) {
+      if (this.stopRequested) break;
+      let latest;
+      try {
+        latest = await getLatestVersionsFromHashes(sha1s, chain, [targetMc]);
+      } catch (e) {
+        if (!(e instanceof RequestFailedError)) throw e;
+        console.warn(`Bulk lookup for ${chain.join("/")} failed, falling back to per-project queries: ${e.message} (${e.url})`);
+        continue;
+      }
+      for (const [sha1, version] of Object.entries(latest)) {
+        const pid = pidBySha1.get(sha1);
+        if (!pid || version?.project_id !== pid) continue;
+        if (version.version_type !== "release" || !(version.loaders || []).includes(chain[0])) continue;
+        version.resolved_loader = chain[0];
+        settled.set(pid, version);
+      }
+    }
+    console.log(`[DEBUG] Bulk lookup settled ${settled.size}/${projectIds.length} projects`);
+    return settled;
+  }
+
+  /**
+   * Fetch the full list of target versions for a row that was settled by the bulk lookup,
+   * so the version picker can offer older releases and betas
+   * @param {string} projectId - Project of the row
+   */
+  async loadAllVersions(projectId) {
+    const row = this.rows.find(r => r.project_id === projectId);
+    if (!row || row.versions_complete) return;
+    const check = await checkProjectTarget(projectId, this.targetMc, row.target_loader, null, row.name);
+    if (check.checkStatus) throw new Error(check.checkError || `Could not load versions for ${row.name}`);
+    row.versions = check.versions.map(compactVersion);
+    row.versions_complete = true;
+  }
+
+  /**
+   * Walk the required dependencies of every selected target version and create rows
+   * for projects that the pack doesn't already contain. Newly added projects are
+   * walked as well, so transitive requirements are picked up.
+   * @param {Object[]} rows - Rows produced by analyze
+   * @param {string} targetMc - Target Minecraft version
+   * @param {string} packLoader - Loader selected for the pack
+   * @param {string} currentMc - Minecraft version of the source pack
+   * @param {Set<string>} [known] - Project IDs already present (defaults to the given rows)
+   * @returns {Promise<Object[]>} - Rows for the added dependencies
+   */
+  async resolveDependencies(rows, targetMc, packLoader, currentMc, known = new Set(rows.map(r => r.project_id))) {
+    const added = [];
+    let frontier = rows;
+
+    while (frontier.length) {
+      const wanted = new Map(); // project_id -> Set of names that require it
+      const versionOnly = new Map(); // version_id -> Set of names (deps without a project_id)
+
+      for (const row of frontier) {
+        if (!row.target_available) continue;
+        for (const dep of row.target_dependencies || []) {
+          if (dep.dependency_type !== "required") continue;
+          const requiredBy = row.name || row.slug || row.project_id;
+          if (dep.project_id) {
+            if (known.has(dep.project_id)) continue;
+            if (!wanted.has(dep.project_id)) wanted.set(dep.project_id, new Set());
+            wanted.get(dep.project_id).add(requiredBy);
+          } else if (dep.version_id) {
+            if (!versionOnly.has(dep.version_id)) versionOnly.set(dep.version_id, new Set());
+            versionOnly.get(dep.version_id).add(requiredBy);
+          }
+        }
+      }
+
+      if (versionOnly.size) {
+        const versions = await getVersionsBatch([...versionOnly.keys()]);
+        for (const [versionId, names] of versionOnly) {
+          const pid = versions.get(versionId)?.project_id;
+          if (!pid || known.has(pid)) continue;
+          if (!wanted.has(pid)) wanted.set(pid, new Set());
+          names.forEach(n => wanted.get(pid).add(n));
+        }
+      }
+
+      if (!wanted.size) break;
+
+      const pids = [...wanted.keys()];
+      pids.forEach(pid => known.add(pid));
+      const { projectMap, projectsFailed } = await getProjectsForCheck(pids);
+
+      frontier = await mapLimitProgress(pids, MAX_CONCURRENCY, async (pid) => {
+        const proj = projectMap.get(pid);
+        const cat = getCategoryForProjectType(proj?.project_type);
+        const name = proj?.title || pid;
+        const loader = getLoaderForProject(proj, cat, packLoader);
+        const check = this.stopRequested
+          ? { versions: [], fallback: null, checkStatus: ROW_STATUS.SKIPPED, checkError: null }
+          : projectsFailed || await checkProjectTarget(pid, targetMc, loader, proj, name, this.getGitHubAssetPattern(pid, proj?.slug));
+        const row = makeRow({
+          pid, proj, cat, name, currentVersion: null, currentMc, targetMc, loader,
+          policy: this.channelPolicy, ...check
+        });
+        row.added_as_dependency = true;
+        row.required_by = [...wanted.get(pid)];
+        return row;
+      }, (done, total) => this.report.phase("Resolving dependencies…", `${done} / ${total}`));
+
+      added.push(...frontier);
+    }
+
+    if (added.length) {
+      console.log(`[DEBUG] Added ${added.length} dependencies: ${added.map(r => r.name).join(", ")}`);
+    }
+    return added;
+  }
+
+  /**
+   * Override the selected target version of a row with another version from its picker list.
+   * Required dependencies of the new version are added and compatibility is re-checked.
+   * @param {string} projectId - Project of the row to change
+   * @param {string} versionId - ID of one of row.versions
+   * @returns {Promise<Object[]>} - Rows added as dependencies of the new version
+   */
+  async selectVersion(projectId, versionId) {
+    const row = this.rows.find(r => r.project_id === projectId);
+    const version = row?.versions?.find(v => v.id === versionId);
+    if (!version || !isVersionAllowed(version, this.getEffectivePolicy(row))) return [];
+
+    applyTargetVersion(row, version, "modrinth");
+    row.version_overridden = version !== row.versions.find(v => isVersionAllowed(v, this.getEffectivePolicy(row)));
+
+    return this.afterTargetsChanged([row]);
+  }
+
+  /**
+   * Change the pack-wide channel policy and re-pick targets for rows without their own override
+   * @param {string} policy - Key of CHANNEL_POLICIES
+   * @returns {Promise<Object[]>} - Rows added as dependencies of newly selected versions
+   */
+  async setChannelPolicy(policy) {
+    this.channelPolicy = policy;
+    if (!this.matrix) return this.applyChannelPolicy(this.rows.filter(r => !r.channel_policy));
+
+    // The pack-wide policy applies to every matrix column, not just the active one
+    const activeMc = this.targetMc;
+    let added = [];
+    for (const mc of this.matrix.targets) {
+      this.selectMatrixColumn(mc);
+      const depRows = await this.applyChannelPolicy(this.rows.filter(r => !r.channel_policy));
+      if (mc === activeMc) added = depRows;
+    }
+    this.selectMatrixColumn(activeMc);
+    return added;
+  }
+
+  /**
+   * Override the channel policy for one row (null resets it to the pack policy)
+   * @param {string} projectId - Project of the row to change
+   * @param {string|null} policy - Key of CHANNEL_POLICIES, or null for the pack default
+   * @returns {Promise<Object[]>} - Rows added as dependencies of newly selected versions
+   */
+  async setRowChannelPolicy(projectId, policy) {
+    const row = this.rows.find(r => r.project_id === projectId);
+    if (!row) return [];
+    row.channel_policy = policy || null;
+    return this.applyChannelPolicy([row]);
+  }
+
+  async applyChannelPolicy(rows) {
+    const changed = [];
+    for (const row of rows) {
+      const policy = this.getEffectivePolicy(row);
+      // Keep a manual version override as long as the policy still allows it
+      if (row.version_overridden) {
+        const pinned = row.versions.find(v => v.id === row.target_version_id);
+        if (pinned && isVersionAllowed(pinned, policy)) continue;
+        row.version_overridden = false;
+      }
+      const before = row.target_version_id;
+      selectRowTarget(row, policy);
+      if (row.target_version_id !== before) changed.push(row);
+    }
+    return this.afterTargetsChanged(changed);
+  }
+
+  // New target versions can require new dependencies and introduce new conflicts
+  async afterTargetsChanged(rows) {
+    const known = new Set(this.rows.map(r => r.project_id));
+    const depRows = rows.length
+      ? await this.resolveDependencies(rows, this.targetMc, this.selectedLoader, rows[0].current_mc, known)
+      : [];
+    this.rows.push(...depRows);
+    this.checkCompatibility();
+    return depRows;
+  }
+
+  /**
+   * Cross-check every selected target version against the others using the
+   * "incompatible" entries in their dependency lists. Conflicts are recorded on
+   * both rows (row.conflicts) and returned as pairs.
+   * @param {Object[]} [rows] - Rows to check (defaults to this.rows)
+   * @returns {Object[]} - Array of { a, b } row pairs that declare an incompatibility
+   */
+  checkCompatibility(rows = this.rows) {
+    const selected = rows.filter(r => this.getDisposition(r) === ROW_DISPOSITION.UPDATE);
+    const byProject = new Map(selected.map(r => [r.project_id, r]));
+    const byVersion = new Map(selected.filter(r => r.target_version_id).map(r => [r.target_version_id, r]));
+    const label = r => r.name || r.slug || r.project_id;
+
+    rows.forEach(r => { r.conflicts = []; });
+    const pairs = [];
+    const seen = new Set();
+
+    for (const row of selected) {
+      for (const dep of row.target_dependencies || []) {
+        if (dep.dependency_type !== "incompatible") continue;
+        const other = (dep.project_id && byProject.get(dep.project_id)) || (dep.version_id && byVersion.get(dep.version_id));
+        if (!other || other === row) continue;
+
+        const key = [row.project_id, other.project_id].sort().join("|");
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        row.conflicts.push({ project_id: other.project_id, name: label(other) });
+        other.conflicts.push({ project_id: row.project_id, name: label(row) });
+        pairs.push({ a: row, b: other });
+      }
+    }
+
+    if (pairs.length) {
+      console.warn(`[DEBUG] ${pairs.length} incompatible pair(s): ${pairs.map(p => `${label(p.a)} ↔ ${label(p.b)}`).join(", ")}`);
+    }
+    this.conflicts = pairs;
+    return pairs;
+  }
+
+  /**
+   * Build the updated .mrpack
+   * @param {Object} [options]
+   * @param {string} [options.loaderVersionMode] - "recommended", "latest" or "specific"
+   * @param {string} [options.loaderVersion] - Loader version to use with "specific"
+   * @param {string} [options.verifyMode] - One of BUILD_VERIFY_MODES
+   * @param {string} [options.zipType] - JSZip output type ("blob" in the browser, "nodebuffer" in Node)
+   * @returns {Promise<Object|null>} - { fileName, data, index, diff, skipped, kept, removed, verification, disallowed, note },
+   *   or null if the build was cancelled over incompatibility conflicts. `verification` is null unless verifying,
+   *   else { checked, embedded, failed: [{ path, url, problem }] }.
+   */
+  async build({ loaderVersionMode = "recommended", loaderVersion = null, verifyMode = BUILD_VERIFY_MODES.OFF, zipType = "blob" } = {}) {
+    if (!Object.values(BUILD_VERIFY_MODES).includes(verifyMode)) throw new Error(`Unknown verify mode "${verifyMode}"`);
+    if (!this.hasData()) throw new Error("Run a check first.");
+
+    // Refuse to package known-incompatible mods unless the user explicitly accepts it
+    const conflicts = this.checkCompatibility();
+    if (conflicts.length) {
+      const list = conflicts.map(p => `• ${p.a.name || p.a.project_id} ↔ ${p.b.name || p.b.project_id}`).join("\n");
+      const ok = await this.report.confirm(`The selected versions declare ${conflicts.length} incompatibility conflict(s):\n\n${list}\n\nBuild anyway?`);
+      if (!ok) return null;
+    }
+
+    this.report.phase("Packaging mrpack…");
+    this.report.progress(4, 5);
+
+    // GitHub fallback builds come without hashes: fetch the asset and hash it here
+    const hasFileMeta = r => !!(r.target_file_sha512 && r.target_file_sha1 && r.target_file_size && r.target_file_url);
+    const githubRows = this.rows.filter(r =>
+      this.getDisposition(r) === ROW_DISPOSITION.UPDATE && r.source === "github-fallback" && !hasFileMeta(r));
+    for (const row of githubRows) {
+      this.report.phase("Fetching GitHub builds…", row.name || row.slug || "");
+      try {
+        const file = await fetchGitHubAssetFile(row.fallback);
+        Object.assign(row, {
+          target_files: [file],
+          target_file_sha1: file.hashes.sha1,
+          target_file_sha512: file.hashes.sha512,
+          target_file_size: file.size,
+          target_file_url: file.url,
+          target_file_name: file.filename
+        });
+      } catch (e) {
+        console.warn(`GitHub build for ${row.name} couldn't be fetched:`, e);
+      }
+    }
+
+    // Only include rows with cached file meta
+    const includable = this.rows.filter(r => this.getDisposition(r) === ROW_DISPOSITION.UPDATE && hasFileMeta(r));
+
+    const fileRecords = [];
+    const unmatched = []; // original files with no counterpart in the target version
+    const replacedOverrides = new Set(); // embedded jars an index entry now stands in for
+    const record = (path, file, env) => ({
+      path,
+      hashes: { sha512: file.hashes.sha512, sha1: file.hashes.sha1 },
+      env: { ...env },
+      downloads: [file.url],
+      fileSize: file.size
+    });
+    // An embedded jar that shadows an index entry's path just goes away with the old jar
+    const indexPaths = new Set((this.index.files || []).map(f => f.path));
+    const shadowingOverrides = new Map([...this.projectIdToEmbedded.values()].flat()
+      .filter(e => indexPaths.has(e.path)).map(e => [e.path, e.override]));
+    for (const row of includable) {
+      const originals = [
+        ...(this.projectIdToOrigFiles.get(row.project_id) || []),
+        ...(this.projectIdToEmbedded.get(row.project_id) || []).filter(e => !indexPaths.has(e.path))
+      ];
+      const targetFiles = row.target_files;
+      if (!originals.length) {
+        fileRecords.push(record(inferPathFromCategory(row), pickPrimaryFile({ files: targetFiles }), this.getEnv(row)));
+        continue;
+      }
+      // Each original file is replaced by its counterpart, at the original path
+      const taken = new Set();
+      const bySha1 = new Map();
+      for (const of of originals) {
+        const sha1 = of.hashes?.sha1;
+        if (!bySha1.has(sha1)) {
+          const match = matchTargetFile(this.origFileInfo.get(sha1)?.file, targetFiles, taken);
+          if (match) taken.add(match.hashes.sha1);
+          bySha1.set(sha1, match);
+        }
+        const match = bySha1.get(sha1);
+        // Each file keeps its own env unless the user set one for the project
+        if (match) {
+          fileRecords.push(record(of.path, match, row.env || { ...DEFAULT_ENV, ...of.env }));
+          const override = of.override || shadowingOverrides.get(of.path);
+          if (override) replacedOverrides.add(override);
+        } else if (!of.override) {
+          unmatched.push(of.path); // embedded jars without a counterpart stay in the overrides
+        }
+      }
+    }
+
+    // Build new index
+    const newIndex = structuredClone(this.index);
+    newIndex.dependencies = Object.assign({}, newIndex.dependencies, { minecraft: this.targetMc });
+
+    // Pin the loader dependency to a version that exists for the target MC
+    let note = "";
+    if (this.isCrossLoader()) {
+      delete newIndex.dependencies[LOADER_DEPENDENCY_KEYS[this.sourceLoader]];
+      note = `Migrated from ${LOADER_NAMES[this.sourceLoader]} to ${LOADER_NAMES[this.selectedLoader]}. `;
+    }
+    const loaderKey = LOADER_DEPENDENCY_KEYS[this.selectedLoader];
+    if (loaderKey) {
+      const loaderName = LOADER_NAMES[this.selectedLoader];
+      this.report.phase("Fetching loader version…");
+      const ver = await resolveLoaderVersion(this.targetMc, this.selectedLoader, loaderVersionMode, loaderVersion);
+      if (ver) {
+        newIndex.dependencies[loaderKey] = ver;
+        note += `${loaderName} set to ${ver}${loaderVersionMode === "recommended" ? "" : ` (${loaderVersionMode})`}.`;
+      } else if (newIndex.dependencies[loaderKey]) {
+        note += `Kept existing ${loaderName} ${newIndex.dependencies[loaderKey]} (meta lookup failed).`;
+      } else {
+        note += `${loaderName} not set (meta lookup failed).`;
+      }
+    }
+
+    newIndex.name = `${(this.name || "Pack").replace(/\s+$/, "")} (for ${this.targetMc})`;
+    // Unknown / external files are copied verbatim unless dropped in the results table
+    const keptExternal = this.getKeptExternalFiles();
+    const droppedExternal = this.externalFiles.length - keptExternal.length;
+    for (const entry of keptExternal) {
+      fileRecords.push(structuredClone(entry.file));
+    }
+    if (this.externalFiles.length) {
+      note = `Kept ${keptExternal.length} external file(s)${droppedExternal ? `, dropped ${droppedExternal}` : ""}. ${note}`;
+    }
+
+    // Rows kept at their current version go in with their original index entry untouched
+    const kept = this.rows.filter(r => this.getDisposition(r) === ROW_DISPOSITION.KEEP);
+    for (const row of kept) {
+      const entries = structuredClone(this.projectIdToOrigFiles.get(row.project_id) || []);
+      if (row.env) entries.forEach(entry => { entry.env = { ...row.env }; });
+      fileRecords.push(...entries);
+    }
+    // Projects of the original pack that won't be in the new one: forced (no target) or by choice
+    const removed = this.rows.filter(r => this.hasOriginalFile(r) && this.getDisposition(r) === ROW_DISPOSITION.REMOVE);
+    const forced = removed.filter(r => !r.target_available);
+    const chosen = removed.filter(r => r.target_available);
+    const names = rows => rows.map(r => r.name || r.slug || r.project_id).join(", ");
+    if (chosen.length) note = `Removed ${chosen.length} item(s) by choice: ${names(chosen)}. ${note}`;
+    if (forced.length) note = `Removed ${forced.length} item(s) without a ${this.targetMc} version: ${names(forced)}. ${note}`;
+    if (unmatched.length) note = `Dropped ${unmatched.length} file(s) with no counterpart in the new version: ${unmatched.join(", ")}. ${note}`;
+    if (kept.length) note = `Kept ${kept.length} item(s) at their current version (may not work on ${this.targetMc}): ${names(kept)}. ${note}`;
+
+    // Embedded jars follow their row: replaced ones gave way to an index entry above and removed ones
+    // are left out; any other (kept, or an update that wrote no entry) stays where it was
+    const removedIds = new Set(removed.map(r => r.project_id));
+    const embeddedOverrides = [...this.projectIdToEmbedded.entries()].flatMap(([pid, entries]) =>
+      entries.map(entry => ({ pid, entry, path: entry.override })));
+    const removedOverrides = new Set(embeddedOverrides.filter(e => removedIds.has(e.pid)).map(e => e.path));
+    const keptOverrides = this.getKeptOverrideFiles().filter(e => !replacedOverrides.has(e.path) && !removedOverrides.has(e.path));
+
+    // Verified build: download every file and check it against its entry; "embed" then bundles
+    // the good ones into the overrides (by env) instead of indexing them, unless the pack already
+    // ships a file at that path
+    let verification = null;
+    const bundledFiles = [];
+    if (verifyMode !== BUILD_VERIFY_MODES.OFF) {
+      const embed = verifyMode === BUILD_VERIFY_MODES.EMBED;
+      this.report.phase("Verifying downloads…", `0 / ${fileRecords.length}`);
+      const results = await mapLimitProgress(fileRecords, MAX_CONCURRENCY, async entry => {
+        const result = await downloadVerified(entry);
+        return embed ? result : { ...result, bytes: null };
+      }, (done, total) => this.report.phase("Verifying downloads…", `${done} / ${total}`));
+
+      const failed = [];
+      const occupied = []; // override paths the pack's own files already take
+      const shipped = new Set(keptOverrides.map(e => e.path));
+      results.forEach((r, i) => {
+        const entry = fileRecords[i];
+        const path = overrideFolderForEnv(entry.env) + entry.path;
+        if (!r.ok) failed.push({ path: entry.path, url: r.url, problem: r.problem });
+        else if (embed && shipped.has(path)) occupied.push(path);
+        else if (embed) bundledFiles.push({ path, entry, bytes: r.bytes });
+      });
+      verification = { checked: results.length, embedded: bundledFiles.length, failed };
+      if (failed.length) note = `⚠️ ${failed.length} of ${results.length} download(s) failed verification: ${failed.map(f => `${f.path} (${f.problem})`).join(", ")}. ${note}`;
+      else note = `Verified ${results.length} download(s). ${note}`;
+      if (embed) note = `Bundled ${bundledFiles.length} verified file(s) into the overrides. ${note}`;
+      if (occupied.length) {
+        note = `⚠️ Left ${occupied.length} file(s) indexed instead of bundling them over the pack's own overrides: ${occupied.join(", ")}. ${note}`;
+      }
+    }
+
+    const bundledEntries = new Set(bundledFiles.map(f => f.entry));
+    newIndex.files = fileRecords.filter(f => !bundledEntries.has(f));
+
+    // Files from hosts outside the mrpack allow-list still go in, with a warning
+    const disallowed = newIndex.files.filter(f => !(f.downloads || []).some(isAllowedDownloadUrl));
+    if (disallowed.length) {
+      const hosts = [...new Set(disallowed.flatMap(f => (f.downloads || []).map(u => { try { return new URL(u).host; } catch { return u; } })))];
+      note = `⚠️ ${disallowed.length} file(s) download from hosts the mrpack format doesn't allow (${hosts.join(", ")}); ` +
+        `launchers may refuse them: ${disallowed.map(f => f.path).join(", ")}. ${note}`;
+    }
+    if (githubRows.length) {
+      const fetched = githubRows.filter(hasFileMeta);
+      note = `Included ${fetched.length} GitHub build(s), hashed locally${fetched.length < githubRows.length ? `; ${githubRows.length - fetched.length} couldn't be fetched` : ""}. ${note}`;
+    }
+
+    // Package: copy overrides/, server-overrides/ and client-overrides/ + write index
+    const outZip = new JSZip();
+
+    // Embedded jars of updated rows that got no index entry stayed in keptOverrides above
+    const staleOverrides = embeddedOverrides.filter(e => !replacedOverrides.has(e.path) && !removedOverrides.has(e.path) &&
+      this.getDisposition(this.rows.find(r => r.project_id === e.pid) || {}) === ROW_DISPOSITION.UPDATE).map(e => e.path);
+    const copiedOverrides = [];
+    for (const e of keptOverrides) {
+      const content = await this.zip.file(e.path).async("arraybuffer");
+      outZip.file(e.path, content);
+      copiedOverrides.push(e.path);
+    }
+    const droppedOverrides = this.overrideFiles.length - this.getKeptOverrideFiles().length;
+    if (droppedOverrides) note = `Left out ${droppedOverrides} override file(s). ${note}`;
+    if (replacedOverrides.size) note = `Replaced ${replacedOverrides.size} jar(s) embedded in the overrides. ${note}`;
+    if (staleOverrides.length) {
+      note = `⚠️ Kept ${staleOverrides.length} embedded jar(s) at their current version, no replacement could be written: ${staleOverrides.join(", ")}. ${note}`;
+    }
+    for (const f of bundledFiles) {
+      outZip.file(f.path, f.bytes);
+      copiedOverrides.push(f.path);
+    }
+    outZip.file("modrinth.index.json", JSON.stringify(newIndex, null, 2));
+
+    const data = await outZip.generateAsync({ type: zipType });
+    const fileName = `${slugify(newIndex.name)}.mrpack`;
+
+    // Embedded jars count as pack files in the diff, on both sides while they stay in the overrides
+    const keptOverridePaths = new Set(keptOverrides.map(e => e.path));
+    const diffBefore = { ...this.index, files: [...(this.index.files || []), ...embeddedOverrides.map(e => e.entry)] };
+    const diffAfter = { ...newIndex, files: [...newIndex.files, ...bundledFiles.map(f => f.entry),
+      ...embeddedOverrides.filter(e => keptOverridePaths.has(e.path)).map(e => e.entry)] };
+    this.lastBuild = {
+      index: newIndex,
+      fileName,
+      overrides: copiedOverrides,
+      diff: buildPackDiff(diffBefore, diffAfter, this.rows, this.origFileInfo)
+    };
+    this.lastBuildZip = outZip;
+
+    // Rows left out of the pack (missing meta, e.g. a GitHub build that couldn't be fetched)
+    const skipped = this.rows.filter(r => this.getDisposition(r) === ROW_DISPOSITION.UPDATE && !hasFileMeta(r));
+
+    const depCount = includable.filter(r => r.added_as_dependency).length;
+    if (depCount) {
+      note = `Added ${depCount} required ${depCount === 1 ? "dependency" : "dependencies"}. ${note}`;
+    }
+
+    this.report.progress(5, 5);
+    this.report.phase("Done");
+    return { ...this.lastBuild, data, skipped, kept, removed, verification, disallowed: disallowed.map(f => f.path), note };
+  }
+
+  /**
+   * Turn the last build into a dedicated-server folder: every file the server needs (env.server
+   * isn't "unsupported"), overrides/ then server-overrides/ on top, a manifest, and install.sh /
+   * start.sh that install the loader for the build's MC version and fetch whatever isn't bundled
+   * @param {Object} [options]
+   * @param {boolean} [options.downloadFiles] - Bundle the files; false only lists them for install.sh
+   * @param {string} [options.zipType] - JSZip output type ("blob" in the browser, "nodebuffer" in Node)
+   * @returns {Promise<Object>} - { data, fileName, manifest, bundled, listed, failed, clientOnly, note }
+   */
+  async buildServerPack({ downloadFiles = true, zipType = "blob" } = {}) {
+    if (!this.lastBuild) throw new Error("Build the pack first.");
+    const { index, overrides } = this.lastBuild;
+    const mc = index.dependencies?.minecraft;
+    const loaderVersion = index.dependencies?.[LOADER_DEPENDENCY_KEYS[this.selectedLoader]];
+    if (!loaderVersion) throw new Error(`The build has no ${LOADER_NAMES[this.selectedLoader]} version to install.`);
+
+    this.report.phase("Preparing server install…");
+    const install = await getServerInstall(this.selectedLoader, mc, loaderVersion);
+
+    const files = (index.files || []).filter(f => f.env?.server !== "unsupported");
+    const clientOnly = (index.files || []).filter(f => f.env?.server === "unsupported").map(f => f.path);
+    const out = new JSZip();
+
+    // Files the server needs: bundled when they download, otherwise left to install.sh
+    const failed = [];
+    const bundled = new Set();
+    if (downloadFiles) {
+      this.report.phase("Downloading server files…", `0 / ${files.length}`);
+      await mapLimitProgress(files, MAX_CONCURRENCY, async f => {
+        const result = await downloadVerified(f);
+        if (result.ok) {
+          out.file(f.path, result.bytes);
+          bundled.add(f.path);
+        } else {
+          failed.push({ path: f.path, url: result.url, problem: result.problem });
+        }
+      }, (done, total) => {
+        this.report.phase("Downloading server files…", `${done} / ${total}`);
+        this.report.progress(done, total);
+      });
+    }
+    const listed = files.filter(f => !bundled.has(f.path));
+
+    // Server overrides win over the shared ones
+    for (const folder of ["overrides/", "server-overrides/"]) {
+      for (const path of overrides.filter(p => p.startsWith(folder))) {
+        out.file(path.slice(folder.length), await this.lastBuildZip.file(path).async("arraybuffer"));
+      }
+    }
+
+    const manifest = {
+      name: index.name,
+      minecraft: mc,
+      loader: this.selectedLoader,
+      loader_version: loaderVersion,
+      install: { download: install.download, command: install.command, launch: install.launch },
+      files: files.map(f => ({
+        path: f.path,
+        url: f.downloads?.[0] || null,
+        sha1: f.hashes?.sha1 || null,
+        sha512: f.hashes?.sha512 || null,
+        size: f.fileSize ?? null,
+        bundled: bundled.has(f.path)
+      }))
+    };
+    out.file("server-manifest.json", JSON.stringify(manifest, null, 2));
+    out.file("install.sh", serverInstallScript(manifest, install, listed), { unixPermissions: "755" });
+    out.file("start.sh", `#!/bin/sh\ncd "$(dirname "$0")"\nexec ${install.launch}\n`, { unixPermissions: "755" });
+
+    const data = await out.generateAsync({ type: zipType, platform: "UNIX" });
+    const fileName = `${slugify(index.name)}-server.zip`;
+
+    let note = `${bundled.size} file(s) bundled, ${listed.length} fetched by install.sh, ${clientOnly.length} client-only file(s) left out.`;
+    if (failed.length) note = `${failed.length} download(s) failed; install.sh fetches them instead. ${note}`;
+    this.report.phase("Done");
+    return { data, fileName, manifest, bundled: [...bundled], listed: listed.map(f => f.path), failed, clientOnly, note };
+  }
+}
+
+/* ---------- GitHub releases fallback ---------- */
+function escReg(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); }
+
+/**
+ * The GitHub repository a project's source_url points at
+ * @param {string} [url] - Project source_url from Modrinth
+ * @returns {string|null} - "owner/repo", or null for other hosts
+ */
+function githubRepoFromUrl(url) {
+  const m = String(url || "").match(/^https?:\/\/(?:www\.)?github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?(?:[/?#]|$)/i);
+  return m ? `${m[1]}/${m[2]}` : null;
+}
+
+/**
+ * Check that a per-project asset pattern is a usable regex
+ * @param {string} pattern - Pattern as entered by the user
+ * @throws {Error} - When it doesn't compile
+ */
+function validateAssetPattern(pattern) {
+  try {
+    new RegExp(pattern.replaceAll("{mc}", ""), "i");
+  } catch (e) {
+    throw new Error(`Invalid asset pattern "${pattern}": ${e.message}`);
+  }
+}
+
+/**
+ * Decide whether a release asset is the target build. By default the name has to contain the
+ * target MC version and, if it names any loader, one from the chain; names without a loader
+ * pass (single-loader mods often leave it out). A per-project pattern replaces the version test
+ * for projects that name their files differently; "{mc}" in it stands for the target MC version.
+ * @param {string} name - Asset file name
+ * @param {string} targetMc - Target Minecraft version
+ * @param {string[]} loaders - Loader chain, preferred first
+ * @param {string} [assetPattern] - Per-project regex (case-insensitive)
+ * @returns {string|null} - Loader the asset is for, or null if it doesn't match
+ */
+function matchGitHubAsset(name, targetMc, loaders, assetPattern = null) {
+  if (!/\.jar$/i.test(name) || /-(sources|dev|javadoc)\.jar$/i.test(name)) return null;
+  const mc = escReg(targetMc);
+  const nameRe = assetPattern
+    ? new RegExp(assetPattern.replaceAll("{mc}", mc), "i")
+    : new RegExp(`(?<![\\d.])${mc}(?!\\.?\\d)`); // not part of a longer version: 1.21 mustn't match 1.21.1
+  if (!nameRe.test(name)) return null;
+  const words = name.toLowerCase().split(/[^a-z0-9]+/);
+  const named = Object.keys(LOADER_NAMES).filter(l => words.includes(l));
+  if (!named.length) return loaders[0];
+  return loaders.find(l => named.includes(l)) || null;
+}
+
+/**
+ * Find the newest GitHub release of a repository with an asset for the target
+ * @param {string} repo - "owner/repo"
+ * @param {string} targetMc - Target Minecraft version
+ * @param {string[]} loaders - Loader chain, preferred first
+ * @param {Object} [options]
+ * @param {string} [options.assetPattern] - Per-project regex for asset names (see matchGitHubAsset)
+ * @param {boolean} [options.includePrereleases] - Also consider prereleases
+ * @returns {Promise<Object|null>} - Fallback "version" for applyTargetVersion, or null if nothing matches
+ * @throws {RequestFailedError} - When the releases can't be listed (rate limit, network, server errors)
+ */
+async function fetchGitHubRelease(repo, targetMc, loaders, { assetPattern = null, includePrereleases = false } = {}) {
+  const cacheKey = `github:${repo}`;
+  let releases = await apiCache.get(cacheKey);
+  if (!releases) {
+    const res = await apiFetch(`${API_BASES.github}/repos/${repo}/releases`, {
+      headers: { "Accept": "application/vnd.github+json" }
+    });
+    // A missing repository just has no builds; anything else leaves the answer open
+    if (res.status === 404) {
+      console.warn(`GitHub releases of ${repo}: repository not found`);
+      return null;
+    }
+    if (!res.ok) throw new RequestFailedError(`GitHub releases of ${repo}: HTTP ${res.status}`, { url: res.url, status: res.status });
+    // Only what matching needs; release notes can be large
+    releases = (await res.json()).map(r => ({
+      tag_name: r.tag_name,
+      draft: r.draft,
+      prerelease: r.prerelease,
+      published_at: r.published_at || r.created_at || null,
+      html_url: r.html_url || null,
+      assets: (r.assets || []).map(a => ({ id: a.id, name: a.name, browser_download_url: a.browser_download_url }))
+    }));
+    await apiCache.set(cacheKey, releases, CACHE_TTL.releases);
+  }
+
+  for (const r of releases) {
+    if (r.draft) continue;
+    if (!includePrereleases && r.prerelease) continue;
+    // A release can carry builds for several loaders: take the preferred loader's
+    const matches = r.assets.map(asset => ({ asset, loader: matchGitHubAsset(asset.name, targetMc, loaders, assetPattern) }));
+    for (const loader of loaders) {
+      const asset = matches.find(m => m.loader === loader)?.asset;
+      if (!asset) continue;
+      return {
+        version_number: r.tag_name || asset.name,
+        date_published: r.published_at,
+        download_url: asset.browser_download_url,
+        release_url: r.html_url || `https://github.com/${repo}/releases`,
+        resolved_loader: loader,
+        // for fetchGitHubAssetFile()
+        repo,
+        asset_id: asset.id,
+        filename: asset.name,
+        source: "github-fallback"
+      };
+    }
+  }
+  console.log(`[DEBUG] No ${targetMc} asset in the GitHub releases of ${repo}`);
+  return null;
+}
+
+/**
+ * Download a GitHub fallback release's asset and describe it as a target file, hashed locally
+ * (GitHub publishes no hashes). The bytes come through the API's asset endpoint, which browsers
+ * may fetch cross-origin; the file keeps the public browser_download_url for the index.
+ * @param {Object} release - GitHub fallback from fetchGitHubRelease
+ * @returns {Promise<Object>} - File like a compact Modrinth version's: { url, filename, primary, size, hashes }
+ * @throws {RequestFailedError} - When the asset can't be downloaded
+ */
+async function fetchGitHubAssetFile(release) {
+  const url = `${API_BASES.github}/repos/${release.repo}/releases/assets/${release.asset_id}`;
+  const res = await apiFetch(url, { headers: { "Accept": "application/octet-stream" } });
+  if (!res.ok) throw new RequestFailedError(`HTTP ${res.status}`, { url, status: res.status });
+  const bytes = new Uint8Array(await res.arrayBuffer());
+  return {
+    url: release.download_url,
+    filename: release.filename || release.download_url.split("/").pop(),
+    primary: true,
+    file_type: null,
+    size: bytes.length,
+    hashes: { sha1: await digestHex("SHA-1", bytes), sha512: await digestHex("SHA-512", bytes) }
+  };
+}
+
+/* ---------- Prefer primary file from a version ---------- */
+function pickPrimaryFile(version) {
+  if (!version || !Array.isArray(version.files) || !version.files.length) return null;
+  return version.files.find(f => f.primary) || version.files[0];
+}
+
+// File name without extension and version-ish parts: "mymod-1.2.3-sources.jar" -> "mymodsources"
+function fileStem(filename) {
+  return String(filename || "").toLowerCase().replace(/\.[^.]+$/, "").replace(/[\d.+_-]+/g, "");
+}
+const fileExtension = filename => (String(filename || "").match(/\.[^.]+$/) || [""])[0].toLowerCase();
+
+/**
+ * Pick the file of a target version that replaces an original file: the primary file for a
+ * primary file (unless another original already took it), otherwise a non-primary file with the
+ * same file_type (e.g. a required resource pack) or the same extension and name stem
+ * @param {Object|null} orig - { filename, primary, file_type } of the original file (null if unknown)
+ * @param {Object[]} files - Files of the target version
+ * @param {Set<string>} [taken] - sha1s already matched to other original files
+ * @returns {Object|null} - Matching target file, or null when there is none
+ */
+function matchTargetFile(orig, files, taken = new Set()) {
+  if (!orig || orig.primary) {
+    const primary = pickPrimaryFile({ files });
+    return primary && !taken.has(primary.hashes?.sha1) ? primary : null;
+  }
+  const candidates = files.filter(f => !f.primary && !taken.has(f.hashes?.sha1));
+  return (orig.file_type && candidates.find(f => f.file_type === orig.file_type)) ||
+    candidates.find(f => fileExtension(f.filename) === fileExtension(orig.filename) && fileStem(f.filename) === fileStem(orig.filename)) ||
+    null;
+}
+
+/* ---------- Loader version lookup (Fabric, Quilt, Forge, NeoForge) ---------- */
+
+// Pull <version> entries out of a maven-metadata.xml document (oldest first, as maven lists them)
+async function fetchMavenVersions(metadataUrl) {
+  const res = await apiFetch(metadataUrl);
+  if (!res.ok) throw new Error(`maven metadata ${res.status}`);
+  const xml = await res.text();
+  return [...xml.matchAll(/<version>([^<]+)<\/version>/g)].map(m => m[1].trim());
+}
+
+async function getFabricLoaderVersions(targetMc) {
+  const res = await apiFetch(`${API_BASES.fabricMeta}/v2/versions/loader/${encodeURIComponent(targetMc)}`);
+  if (!res.ok) throw new Error(`fabric meta ${res.status}`);
+  const arr = await res.json();
+  if (!Array.isArray(arr) || !arr.length) return null;
+  const stable = arr.find(x => x?.loader?.stable);
+  return {
+    recommended: (stable || arr[0])?.loader?.version || null,
+    latest: arr[0]?.loader?.version || null,
+    versions: arr.map(x => x?.loader?.version).filter(Boolean)
+  };
+}
+
+async function getQuiltLoaderVersions(targetMc) {
+  const res = await apiFetch(`${API_BASES.quiltMeta}/v3/versions/loader/${encodeURIComponent(targetMc)}`);
+  if (!res.ok) throw new Error(`quilt meta ${res.status}`);
+  const arr = await res.json();
+  if (!Array.isArray(arr) || !arr.length) return null;
+  const versions = arr.map(x => x?.loader?.version).filter(Boolean);
+  // Quilt meta has no stable flag; pre-releases carry a "-beta.N" style suffix
+  return {
+    recommended: versions.find(v => !v.includes("-")) || versions[0],
+    latest: versions[0],
+    versions
+  };
+}
+
+async function getForgeVersions(targetMc) {
+  const [promoRes, all] = await Promise.all([
+    apiFetch(`${API_BASES.forgeFiles}/net/minecraftforge/forge/promotions_slim.json`),
+    fetchMavenVersions(`${API_BASES.forgeMaven}/net/minecraftforge/forge/maven-metadata.xml`).catch(() => [])
+  ]);
+  if (!promoRes.ok) throw new Error(`forge promotions ${promoRes.status}`);
+  const promos = (await promoRes.json())?.promos || {};
+
+  // Maven versions look like "1.20.1-47.2.0"; the index only wants the Forge part
+  const prefix = `${targetMc}-`;
+  const versions = all.filter(v => v.startsWith(prefix)).map(v => v.slice(prefix.length)).reverse();
+  const latest = promos[`${targetMc}-latest`] || versions[0] || null;
+  const recommended = promos[`${targetMc}-recommended`] || latest;
+  if (!latest) return null;
+  return { recommended, latest, versions };
+}
+
+async function getNeoForgeVersions(targetMc) {
+  // 1.20.1 shipped under the old "forge" artifact with MC-prefixed versions ("1.20.1-47.1.106")
+  if (targetMc === "1.20.1") {
+    const all = await fetchMavenVersions(`${API_BASES.neoforgeMaven}/net/neoforged/forge/maven-metadata.xml`);
+    const versions = all.filter(v => v.startsWith("1.20.1-")).map(v => v.slice("1.20.1-".length)).reverse();
+    return versions.length ? { recommended: versions[0], latest: versions[0], versions } : null;
+  }
+
+  // Later versions drop the leading "1.": MC 1.21.1 -> NeoForge 21.1.x, MC 1.21 -> 21.0.x
+  const [, minor, patch = "0"] = targetMc.split(".");
+  if (!minor) return null;
+  const prefix = `${minor}.${patch}.`;
+  const all = await fetchMavenVersions(`${API_BASES.neoforgeMaven}/net/neoforged/neoforge/maven-metadata.xml`);
+  const versions = all.filter(v => v.startsWith(prefix)).reverse();
+  if (!versions.length) return null;
+  return {
+    recommended: versions.find(v => !/-(beta|alpha)/i.test(v)) || versions[0],
+    latest: versions[0],
+    versions
+  };
+}
+
+/**
+ * Look up the loader versions available for a Minecraft version
+ * @param {string} targetMc - Target Minecraft version
+ * @param {string} loaderName - "fabric", "quilt", "forge" or "neoforge"
+ * @returns {Promise<{recommended: string|null, latest: string|null, versions: string[]}|null>} - null if unsupported or lookup failed
+ */
+async function getLoaderVersions(targetMc, loaderName) {
+  const lookups = {
+    fabric: getFabricLoaderVersions,
+    quilt: getQuiltLoaderVersions,
+    forge: getForgeVersions,
+    neoforge: getNeoForgeVersions
+  };
+  const lookup = lookups[loaderName];
+  if (!lookup) return null;
+  try {
+    return await lookup(targetMc);
+  } catch (e) {
+    console.warn(`${LOADER_NAMES[loaderName]} version lookup failed:`, e);
+    return null;
+  }
+}
+
+async function getRecommendedLoaderVersion(targetMc, loaderName) {
+  const info = await getLoaderVersions(targetMc, loaderName);
+  return info?.recommended || null;
+}
+
+/**
+ * Pick the loader version to write into the built index
+ * @param {string} targetMc - Target Minecraft version
+ * @param {string} loaderName - Loader of the pack
+ * @param {string} mode - "recommended", "latest" or "specific"
+ * @param {string} [specific] - Version to use when mode is "specific"
+ * @returns {Promise<string|null>} - Loader version or null if the lookup failed
+ */
+async function resolveLoaderVersion(targetMc, loaderName, mode = "recommended", specific = null) {
+  if (mode === "specific" && specific) return specific;
+  const info = await getLoaderVersions(targetMc, loaderName);
+  return (mode === "latest" ? info?.latest : info?.recommended) || null;
+}
+
+function inferPathFromCategory(row) {
+  const file = row.target_file_name;
+  if (row.category === "resourcepack") return `resourcepacks/${file || `${row.slug || "resourcepack"}.zip`}`;
+  if (row.category === "shaderpack")   return `shaderpacks/${file || `${row.slug || "shaderpack"}.zip`}`;
+  if (row.category === "datapack")     return `datapacks/${file || `${row.slug || "datapack"}.zip`}`;
+  return `mods/${file || `${row.slug || "mod"}.jar`}`;
+}
+
+function slugify(s) {
+  return String(s).toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+}
+
+function formatBytes(n) {
+  if (!Number.isFinite(n)) return "-";
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KiB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MiB`;
+}
+
+/* ---------- PACK DIFF ---------- */
+
+/**
+ * Compare the original index with a built one. Files are matched per Modrinth project and
+ * path where the project is known, otherwise by path.
+ * @param {Object} origIndex - Original modrinth.index.json
+ * @param {Object} newIndex - Built modrinth.index.json
+ * @param {Object[]} rows - Results rows (names, target versions and dispositions)
+ * @param {Map<string, Object>} origFileInfo - sha1 -> { project_id, version_number, date_published, file } of original files
+ * @returns {Object} - Diff with added/removed/upgraded/downgraded/changed/kept entries, dependency changes and size totals.
+ *   Removed entries carry `forced: true` when the project had no Modrinth target version, or `unmatched: true` when
+ *   it had one but the file had no counterpart in it; `kept` lists projects
+ *   carried over at their current version instead of being updated.
+ */
+function buildPackDiff(origIndex, newIndex, rows, origFileInfo) {
+  const rowsByProject = new Map(rows.map(r => [r.project_id, r]));
+  const rowsBySha1 = new Map();
+  for (const r of rows) {
+    for (const f of r.target_files || []) if (f.hashes?.sha1) rowsBySha1.set(f.hashes.sha1, r);
+    if (r.target_file_sha1) rowsBySha1.set(r.target_file_sha1, r);
+  }
+  const baseName = p => String(p || "").split("/").pop();
+
+  const describeOrig = f => {
+    const info = origFileInfo.get(f?.hashes?.sha1);
+    const row = info && rowsByProject.get(info.project_id);
+    return {
+      // Keyed per file: projects can ship several, and build() keeps the original paths
+      key: info ? `project:${info.project_id}:${f.path}` : `path:${f.path}`,
+      row,
+      name: row?.name || baseName(f.path),
+      version: info?.version_number || null,
+      date: info?.date_published || null
+    };
+  };
+  const describeNew = f => {
+    const sha1 = f?.hashes?.sha1;
+    const row = rowsBySha1.get(sha1);
+    if (row) return { key: `project:${row.project_id}:${f.path}`, name: row.name, version: row.target_version_number, date: row.target_date };
+    return describeOrig(f); // carried over unchanged (external or kept files)
+  };
+
+  const before = new Map();
+  for (const f of origIndex?.files || []) before.set(describeOrig(f).key, { file: f, ...describeOrig(f) });
+  const after = new Map();
+  for (const f of newIndex?.files || []) after.set(describeNew(f).key, { file: f, ...describeNew(f) });
+
+  const diff = {
+    pack: { before: origIndex?.name || null, after: newIndex?.name || null },
+    dependencies: [],
+    added: [], removed: [], upgraded: [], downgraded: [], changed: [], kept: [],
+    unchanged: 0,
+    totals: { files_before: before.size, files_after: after.size, size_before: 0, size_after: 0, size_delta: 0 }
+  };
+
+  const entry = (b, a) => ({
+    name: (a || b).name,
+    path: (a || b).file.path,
+    from: b?.version || (b ? baseName(b.file.path) : null),
+    to: a?.version || (a ? baseName(a.file.path) : null),
+    size_before: b?.file.fileSize ?? null,
+    size_after: a?.file.fileSize ?? null,
+    size_delta: (a?.file.fileSize ?? 0) - (b?.file.fileSize ?? 0)
+  });
+
+  for (const [key, b] of before) {
+    const a = after.get(key);
+    if (!a) {
+      // Not the user's choice: there was no Modrinth version to update to, or nothing in it for this file
+      const notChosen = !!b.row && b.row.disposition !== ROW_DISPOSITION.REMOVE;
+      diff.removed.push({ ...entry(b, null), forced: notChosen && !b.row.target_available, unmatched: notChosen && !!b.row.target_available });
+      continue;
+    }
+    if (a.file.hashes?.sha1 === b.file.hashes?.sha1) {
+      const keptByChoice = b.row && (b.row.disposition === ROW_DISPOSITION.KEEP || !b.row.target_available);
+      if (keptByChoice) diff.kept.push(entry(b, a));
+      else diff.unchanged++;
+      continue;
+    }
+    const e = entry(b, a);
+    if (a.date && b.date) (new Date(a.date) >= new Date(b.date) ? diff.upgraded : diff.downgraded).push(e);
+    else diff.changed.push(e);
+  }
+  for (const [key, a] of after) {
+    if (!before.has(key)) diff.added.push(entry(null, a));
+  }
+
+  const depKeys = new Set([...Object.keys(origIndex?.dependencies || {}), ...Object.keys(newIndex?.dependencies || {})]);
+  for (const key of depKeys) {
+    const b = origIndex?.dependencies?.[key] ?? null;
+    const a = newIndex?.dependencies?.[key] ?? null;
+    if (a !== b) diff.dependencies.push({ key, before: b, after: a });
+  }
+
+  const sum = files => files.reduce((n, f) => n + (Number.isFinite(f.fileSize) ? f.fileSize : 0), 0);
+  diff.totals.size_before = sum(origIndex?.files || []);
+  diff.totals.size_after = sum(newIndex?.files || []);
+  diff.totals.size_delta = diff.totals.size_after - diff.totals.size_before;
+
+  const byName = (x, y) => x.name.toLowerCase().localeCompare(y.name.toLowerCase());
+  ["added", "removed", "upgraded", "downgraded", "changed", "kept"].forEach(k => diff[k].sort(byName));
+  return diff;
+}
+
+/**
+ * Render a pack diff as a Markdown changelog for release notes
+ * @param {Object} diff - Result of buildPackDiff
+ * @returns {string} - Markdown text
+ */
+function diffToMarkdown(diff) {
+  const delta = n => `${n >= 0 ? "+" : "-"}${formatBytes(Math.abs(n))}`;
+  const lines = [`# ${diff.pack.after || "Pack"} changelog`, ""];
+  if (diff.pack.before) lines.push(`Compared with **${diff.pack.before}**.`, "");
+
+  if (diff.dependencies.length) {
+    lines.push("## Dependencies", "");
+    diff.dependencies.forEach(d => lines.push(`- \`${d.key}\`: ${d.before ?? "(none)"} → ${d.after ?? "(removed)"}`));
+    lines.push("");
+  }
+
+  const list = (title, entries, fmt) => {
+    if (!entries.length) return;
+    lines.push(`## ${title}`, "");
+    entries.forEach(e => lines.push(`- ${fmt(e)}`));
+    lines.push("");
+  };
+  list("Added", diff.added, e => `**${e.name}** ${e.to || ""}`.trim());
+  list("Removed", diff.removed, e => `**${e.name}** ${e.from || ""}${e.forced ? " _(no Modrinth version for the new Minecraft version)_" : e.unmatched ? " _(no counterpart in the new version)_" : ""}`.replace(/\s+$/, ""));
+  list("Upgraded", diff.upgraded, e => `**${e.name}**: ${e.from} → ${e.to}`);
+  list("Downgraded", diff.downgraded, e => `**${e.name}**: ${e.from} → ${e.to}`);
+  list("Changed", diff.changed, e => `**${e.name}**: ${e.from} → ${e.to}`);
+  list("Kept at current version (may not work)", diff.kept, e => `**${e.name}** ${e.from || ""}`.trim());
+
+  const t = diff.totals;
+  lines.push(`_${t.files_before} → ${t.files_after} files, ${formatBytes(t.size_before)} → ${formatBytes(t.size_after)} (${delta(t.size_delta)})._`, "");
+  return lines.join("\n");
+}
+
+/* ---------- DOWNLOAD VERIFICATION ---------- */
+
+// What's wrong with downloaded bytes for an index entry, or null when size and hashes match
+async function checkDownload(bytes, entry) {
+  if (Number.isFinite(entry.fileSize) && bytes.length !== entry.fileSize) {
+    return `size ${bytes.length} B, index says ${entry.fileSize} B`;
+  }
+  for (const [name, algorithm] of [["sha1", "SHA-1"], ["sha512", "SHA-512"]]) {
+    const expected = entry.hashes?.[name];
+    if (!expected) return `no ${name} in the index`;
+    if (await digestHex(algorithm, bytes) !== expected.toLowerCase()) return `${name} mismatch`;
+  }
+  return null;
+}
+
+/**
+ * Download an index entry's file and check it against the entry's fileSize, sha1 and sha512.
+ * The entry's download URLs are tried in order until one checks out.
+ * @param {Object} entry - modrinth.index.json file entry
+ * @returns {Promise<{ok: boolean, bytes: Uint8Array|null, url: string|null, problem: string|null}>} - The
+ *   verified bytes and their URL, or what went wrong with the last URL tried (dead URL, mismatch)
+ */
+async function downloadVerified(entry) {
+  const urls = entry.downloads || [];
+  let problem = "no download URL";
+  for (const url of urls) {
+    try {
+      const res = await apiFetch(url);
+      if (!res.ok) {
+        problem = `HTTP ${res.status}`;
+        continue;
+      }
+      const bytes = new Uint8Array(await res.arrayBuffer());
+      problem = await checkDownload(bytes, entry);
+      if (!problem) return { ok: true, bytes, url, problem: null };
+    } catch (e) {
+      problem = e.message || String(e);
+    }
+  }
+  return { ok: false, bytes: null, url: urls[urls.length - 1] || null, problem };
+}
+
+/* ---------- SERVER INSTALL ---------- */
+
+// The newest stable Fabric installer, which the server launcher URL names
+async function getFabricInstallerVersion() {
+  const res = await apiFetch(`${API_BASES.fabricMeta}/v2/versions/installer`);
+  if (!res.ok) throw new Error(`fabric meta ${res.status}`);
+  const arr = await res.json();
+  return (arr.find(x => x?.stable) || arr[0])?.version || null;
+}
+
+async function getQuiltInstallerVersion() {
+  const all = await fetchMavenVersions(`${API_BASES.quiltMaven}/org/quiltmc/quilt-installer/maven-metadata.xml`);
+  return all[all.length - 1] || null;
+}
+
+/**
+ * How to set up a dedicated server for a loader: a jar to download, an optional installer
+ * command, and the command that starts the server
+ * @param {string} loader - "fabric", "quilt", "forge" or "neoforge"
+ * @param {string} mc - Minecraft version
+ * @param {string} loaderVersion - Loader version from the built index
+ * @returns {Promise<{download: {url: string, file: string}, command: string|null, launch: string}>}
+ * @throws {Error} - When the installer version can't be looked up
+ */
+async function getServerInstall(loader, mc, loaderVersion) {
+  const java = "java -Xmx4G -jar";
+  if (loader === "fabric") {
+    const installer = await getFabricInstallerVersion().catch(() => null);
+    if (!installer) throw new Error("Couldn't look up the Fabric installer version.");
+    const url = `${API_BASES.fabricMeta}/v2/versions/loader/${mc}/${loaderVersion}/${installer}/server/jar`;
+    return { download: { url, file: "fabric-server-launch.jar" }, command: null, launch: `${java} fabric-server-launch.jar nogui` };
+  }
+  if (loader === "quilt") {
+    const installer = await getQuiltInstallerVersion().catch(() => null);
+    if (!installer) throw new Error("Couldn't look up the Quilt installer version.");
+    return {
+      download: { url: `${API_BASES.quiltMaven}/org/quiltmc/quilt-installer/${installer}/quilt-installer-${installer}.jar`, file: "quilt-installer.jar" },
+      command: `java -jar quilt-installer.jar install server ${shellQuote(mc)} ${shellQuote(loaderVersion)} --download-server --install-dir=.`,
+      launch: `${java} quilt-server-launch.jar nogui`
+    };
+  }
+  // Forge and NeoForge installers set up libraries and a run.sh
+  const artifact = loader === "forge"
+    ? `${API_BASES.forgeMaven}/net/minecraftforge/forge/${mc}-${loaderVersion}/forge-${mc}-${loaderVersion}-installer.jar`
+    : mc === "1.20.1"
+      ? `${API_BASES.neoforgeMaven}/net/neoforged/forge/${mc}-${loaderVersion}/forge-${mc}-${loaderVersion}-installer.jar`
+      : `${API_BASES.neoforgeMaven}/net/neoforged/neoforge/${loaderVersion}/neoforge-${loaderVersion}-installer.jar`;
+  return {
+    download: { url: artifact, file: `${loader}-installer.jar` },
+    command: `java -jar ${shellQuote(`${loader}-installer.jar`)} --installServer`,
+    launch: "./run.sh nogui"
+  };
+}
+
+const shellQuote = s => `'${String(s).replace(/'/g, `'\\''`)}'`;
+// Text from the pack (e.g. its name) goes into comments and echoes: a line break would start a command
+const oneLine = s => String(s).replace(/[\r\n]+/g, " ");
+
+// install.sh for a server pack: install the loader, then fetch and check the files that aren't bundled
+function serverInstallScript(manifest, install, listed) {
+  const lines = [
+    "#!/bin/sh",
+    `# ${oneLine(`${manifest.name}: Minecraft ${manifest.minecraft}, ${LOADER_NAMES[manifest.loader]} ${manifest.loader_version}`)}`,
+    "set -e",
+    'cd "$(dirname "$0")"',
+    "",
+    `echo ${shellQuote(oneLine(`Installing ${LOADER_NAMES[manifest.loader]} ${manifest.loader_version} for Minecraft ${manifest.minecraft}...`))}`,
+    `curl -fL -o ${shellQuote(install.download.file)} ${shellQuote(install.download.url)}`
+  ];
+  if (install.command) lines.push(install.command);
+  if (listed.length) {
+    lines.push("", `echo "Downloading ${listed.length} file(s)..."`);
+    for (const f of listed) {
+      const dir = f.path.includes("/") ? f.path.slice(0, f.path.lastIndexOf("/")) : null;
+      if (dir) lines.push(`mkdir -p ${shellQuote(dir)}`);
+      lines.push(`curl -fL -o ${shellQuote(f.path)} ${shellQuote(f.downloads?.[0])}`);
+      if (f.hashes?.sha512) lines.push(`echo ${shellQuote(`${f.hashes.sha512}  ${f.path}`)} | sha512sum -c -`);
+    }
+  }
+  lines.push("", `echo "Done. Accept the Minecraft EULA in eula.txt, then run ./start.sh"`, "");
+  return lines.join("\n");
+}
+
+/* ---------- NODE EXPORTS ---------- */
+// Classic <script> in the browser (everything above is global); CommonJS module in Node
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    CHANNEL_POLICIES,
+    ROW_STATUS,
+    ROW_DISPOSITION,
+    LOADER_DEPENDENCY_KEYS,
+    LOADER_NAMES,
+    OVERRIDE_FOLDERS,
+    ENV_VALUES,
+    BUILD_VERIFY_MODES,
+    isAllowedDownloadUrl,
+    validateAssetPattern,
+    suggestEnv,
+    parseVersion,
+    compareVersions,
+    getLoaderChain,
+    detectPackLoader,
+    RequestFailedError,
+    ProjectNotFoundError,
+    RequestScheduler,
+    requestScheduler,
+    API_BASES,
+    setApiBases,
+    apiFetch,
+    apiCache,
+    isVersionAllowed,
+    Modpack,
+    SILENT_REPORTER,
+    getLoaderVersions,
+    resolveLoaderVersion,
+    buildPackDiff,
+    diffToMarkdown,
+    slugify,
+    formatBytes
+  };
+}
@@ -1,17 +1,34 @@
-const MAX_CONCURRENCY = 6;
 const $ = (id) => document.getElementById(id);
 
 const fileInput = $("file");
 const fileName = $("file-name");
 const runBtn = $("run");
+const clearCacheBtn = $("clear-cache");
 const buildBtn = $("build");
 const buildControls = $("build-controls");
 const captureMissingBtn = $("capture-missing");
+const retryFailedBtn = $("retry-failed");
+const modrinthEnvBtn = $("modrinth-env");
+const stopBtn = $("stop");
 const dlLink = $("downloadLink");
+const serverPackControls = $("server-pack-controls");
+const serverPackBtn = $("server-pack");
+const serverPackDownload = $("server-pack-download");
+const serverDlLink = $("serverDownloadLink");
 const buildNote = $("buildNote");
+const loaderVersionModeSelect = $("loader-version-mode");
+const loaderVersionSelect = $("loader-version");
+const verifyModeSelect = $("verify-mode");
 
 const mcSelect = $("mc");
+const matrixModeCheckbox = $("matrix-mode");
+const mcMatrixSelect = $("mc-matrix");
 const loaderSelect = $("loader");
+const channelSelect = $("channel");
+const packInfo = $("pack-info");
+const loaderWarning = $("loader-warning");
+const loaderWarningText = $("loader-warning-text");
+const crossLoaderCheckbox = $("cross-loader");
 const outSummary = $("summary");
 const outRaw = $("raw");
 const bar = $("bar");
@@ -23,21 +40,6 @@ const resTable = $("res-table");
 const shaderTable = $("shader-table");
 
 /* ---------- UTILITY FUNCTIONS ---------- */
-function parseVersion(versionStr) {
-  const parts = versionStr.split('.').map(n => parseInt(n, 10));
-  while (parts.length < 3) parts.push(0);
-  return parts;
-}
-
-function compareVersions(a, b) {
-  const pa = parseVersion(a);
-  const pb = parseVersion(b);
-  for (let i = 0; i < 3; i++) {
-    if (pb[i] !== pa[i]) return pb[i] - pa[i];
-  }
-  return 0;
-}
-
 function parseModpackNames(modpackString) {
   if (!modpackString || typeof modpackString !== 'string') {
     return [];
@@ -45,518 +47,36 @@ function parseModpackNames(modpackString) {
   return modpackString.split(', ').map(mp => mp.trim());
 }
 
-// Helper function to get default loader for a category
-// NOTE: This should only be used as a fallback when project data is not available.
-// Always prefer getting the correct loader from the original project data using getLoaderForProject().
-function getDefaultLoaderForCategory(category) {
-  switch (category) {
-    case "mod":
-      return "fabric";
-    case "shaderpack":
-      return "iris";
-    case "resourcepack":
-    case "datapack":
-    default:
-      return "minecraft";
-  }
-}
-
-/* ---------- COMMON MODRINTH UTILITIES ---------- */
-
-/**
- * Fetch versions for a Modrinth project with specific MC version and loader filters
- * @param {string} projectId - The Modrinth project ID
- * @param {string} mc - Target Minecraft version
- * @param {string} loader - Target loader (e.g., "fabric", "minecraft")
- * @param {string} [projectName] - Optional project name for debugging
- * @returns {Promise<Array|null>} - Array of version objects or null on error
- */
-async function fetchModrinthVersions(projectId, mc, loader, projectName = null) {
-  try {
-    console.log(`[DEBUG] Fetching versions for project ${projectId}${projectName ? ` (${projectName})` : ''} - MC: ${mc}, Loader: ${loader}`);
-    
-    const url = new URL(`https://api.modrinth.com/v2/project/${projectId}/version`);
-    url.searchParams.set("game_versions", JSON.stringify([mc]));
-    url.searchParams.set("loaders", JSON.stringify([loader]));
-
-    const res = await fetch(url);
-    if (!res.ok) {
-      const projectLabel = projectName ? ` (${projectName})` : '';
-      console.warn(`Failed to fetch versions for ${projectId}${projectLabel}: ${res.status}`);
-      return null;
-    }
-
-    const versions = await res.json();
-    console.log(`  [DEBUG] Found ${versions.length} versions for project ${projectId}${projectName ? ` (${projectName})` : ''}`);
-    return Array.isArray(versions) ? versions : null;
-  } catch (e) {
-    const projectLabel = projectName ? ` (${projectName})` : '';
-    console.warn(`Error fetching versions for ${projectId}${projectLabel}:`, e);
-    return null;
-  }
-}
-
-/**
- * Batch fetch project metadata for multiple projects
- * @param {string[]} projectIds - Array of Modrinth project IDs
- * @returns {Promise<Map<string, Object>>} - Map of projectId -> project metadata
- */
-async function getProjectsBatch(projectIds) {
-  if (!projectIds.length) return new Map();
-
-  try {
-    const url = new URL('https://api.modrinth.com/v2/projects');
-    url.searchParams.set('ids', JSON.stringify(projectIds));
-
-    const res = await fetch(url);
-    if (!res.ok) {
-      console.warn(`Failed to batch fetch projects: ${res.status}`);
-      return new Map();
-    }
-
-    const projects = await res.json();
-    return new Map(projects.map(p => [p.id, p]));
-  } catch (e) {
-    console.warn('Error batch fetching projects:', e);
-    return new Map();
-  }
-}
-
-/**
- * Resolve a Modrinth project ID from a project name
- * @param {string} name - The project name to search for
- * @param {string} category - Project category ("mod", "resourcepack", "shaderpack", "datapack")
- * @returns {Promise<string|null>} - The project ID or null if not found
- */
-async function resolveProjectIdFromName(name, category) {
-  const loader = getDefaultLoaderForCategory(category);
-
-  try {
-    const searchUrl = new URL("https://api.modrinth.com/v2/search");
-    searchUrl.searchParams.set("query", name);
-    searchUrl.searchParams.set("limit", "10");
-
-    const searchRes = await fetch(searchUrl);
-    if (searchRes.ok) {
-      const searchData = await searchRes.json();
-      const hits = searchData.hits || [];
-
-      // Look for exact or close name matches
-      for (const hit of hits) {
-        if (hit.title.toLowerCase().includes(name.toLowerCase()) ||
-            name.toLowerCase().includes(hit.title.toLowerCase())) {
-          // Verify this project has some versions (basic validation)
-          try {
-            const versionUrl = new URL(`https://api.modrinth.com/v2/project/${hit.project_id}/version`);
-            versionUrl.searchParams.set("game_versions", JSON.stringify(["1.20.1"])); // Use a common version for validation
-            versionUrl.searchParams.set("loaders", JSON.stringify([loader]));
-            versionUrl.searchParams.set("limit", "1");
-
-            const versionRes = await fetch(versionUrl);
-            if (versionRes.ok) {
-              const versions = await versionRes.json();
-              if (Array.isArray(versions) && versions.length > 0) {
-                return hit.project_id; // Found a valid project
-              }
-            }
-          } catch (e) {
-            console.warn(`Failed to validate project ${hit.project_id}:`, e);
-          }
-        }
-      }
-    }
-  } catch (e) {
-    console.warn(`Failed to resolve project ID for ${name}:`, e);
-  }
-  return null;
-}
-
-/**
- * Check if a Modrinth project has any compatible versions for the given MC version and loader
- * @param {string} projectId - The Modrinth project ID
- * @param {string} targetMc - Target Minecraft version
- * @param {string} loader - Target loader (e.g., "fabric", "minecraft")
- * @param {string} [projectName] - Optional project name for debugging
- * @returns {Promise<boolean>} - True if compatible versions exist
- */
-async function checkModrinthVersionAvailability(projectId, targetMc, loader, projectName = null) {
-  const versions = await fetchModrinthVersions(projectId, targetMc, loader, projectName);
-  return versions && versions.length > 0;
-}
-
-/**
- * Get the best target version for a Modrinth project
- * @param {string} projectId - The Modrinth project ID
- * @param {string} mc - Target Minecraft version
- * @param {string} loader - Target loader (e.g., "fabric", "minecraft")
- * @param {string} [projectName] - Optional project name for debugging
- * @returns {Promise<Object|null>} - Best version object or null if none found
- */
-async function getBestTargetVersion(projectId, targetMc, loader, projectName = null) {
-  const versions = await fetchModrinthVersions(projectId, targetMc, loader, projectName);
-  if (!versions || !versions.length) return null;
-
-  const tier = v => v.version_type === "release" ? 3 : v.version_type === "beta" ? 2 : 1;
-  versions.sort((a, b) => {
-    const t = tier(b) - tier(a);
-    if (t) return t;
-    return new Date(b.date_published) - new Date(a.date_published);
-  });
-  return versions[0];
-}
-
-/* ---------- MODPACK CLASS ---------- */
-class Modpack {
-  constructor() {
-    this.reset();
-  }
-
-  reset() {
-    this.name = "";
-    this.packName = ""; // Alias for name, used for missing items
-    this.targetMc = "";
-    this.selectedLoader = "fabric";
-    this.index = null;
-    this.zip = null;
-    this.rows = [];
-    this.projectIdToOrigFile = new Map();
-  }
-
-  setMetadata(name, targetMc, loader) {
-    this.name = name;
-    this.packName = name; // Keep packName in sync with name
-    this.targetMc = targetMc;
-    this.selectedLoader = loader;
-  }
-
-  setData(index, zip, rows, projectIdToOrigFile) {
-    this.index = index;
-    this.zip = zip;
-    this.rows = rows || [];
-    this.projectIdToOrigFile = projectIdToOrigFile || new Map();
-  }
-
-  hasData() {
-    return this.rows.length > 0 && this.index && this.zip;
-  }
-
-  getMissingItems() {
-    return this.rows.filter(row => !row.target_available);
-  }
-
-  getAvailableItems() {
-    return this.rows.filter(row => row.target_available);
-  }
-
-  getSummary() {
-    const total = this.rows.length;
-    const available = this.getAvailableItems().length;
-    return { total, available, missing: total - available };
-  }
-
-  // Analysis method (moved from standalone function)
-  async analyze(file, targetMc, packLoader) {
-    setPhase("Reading pack…");
-    const zipAb = await file.arrayBuffer();
-    const zip = await JSZip.loadAsync(zipAb);
-    this.zip = zip;
-
-    const indexFile = zip.file("modrinth.index.json");
-    if (!indexFile) { setPhase("Error"); detail.textContent = "No modrinth.index.json"; return null; }
-    const index = JSON.parse(await indexFile.async("string"));
-    this.index = index;
-    this.name = index?.name || "Updated Pack";
-    this.packName = this.name; // Keep packName in sync
-
-    // Update page title with pack name
-    updateTitle(this.name);
-
-    const PACK_MC = index?.dependencies?.minecraft || "-";
-
-    // collect sha1s and keep a mapping to original index file entries
-    const sha1ToPath = new Map();
-    const sha1s = [];
-    const sha1ToFileObj = new Map();
-    for (const f of index.files || []) {
-      const sha1 = f?.hashes?.sha1;
-      if (sha1) {
-        sha1s.push(sha1);
-        sha1ToPath.set(sha1, f.path || "");
-        sha1ToFileObj.set(sha1, f);
-      }
-    }
-    if (!sha1s.length) { setPhase("Done"); detail.textContent = "No file hashes in pack."; return null; }
-
-    outSummary.textContent = `Found ${sha1s.length} entries. Resolving projects…`;
-    setBar(1, 6);
-
-    // Step 2: hashes -> versions
-    setPhase("Resolving versions from hashes…");
-    const versionMap = await fetch("https://api.modrinth.com/v2/version_files", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ hashes: sha1s, algorithm: "sha1" })
-    }).then(r => r.json());
-    setBar(2, 6);
-
-    // Step 3: collapse to unique projects and detect category, and remember original file obj per project
-    setPhase("Collapsing to projects…");
-    this.projectIdToOrigFile = new Map();
-    const projectEntries = new Map(); // project_id -> { anyVersion, exampleSha1, category }
-    for (const [sha1, ver] of Object.entries(versionMap)) {
-      if (!ver || !ver.project_id) continue;
-      if (!projectEntries.has(ver.project_id)) {
-        const path = sha1ToPath.get(sha1) || "";
-        const category = path.startsWith("resourcepacks/") ? "resourcepack"
-                       : path.startsWith("shaderpacks/")    ? "shaderpack"
-                       : path.startsWith("datapacks/")      ? "datapack"
-                       : "mod";
-        projectEntries.set(ver.project_id, { anyVersion: ver, exampleSha1: sha1, category });
-        this.projectIdToOrigFile.set(ver.project_id, sha1ToFileObj.get(sha1));
-      }
-    }
-    const projectIds = [...projectEntries.keys()];
-    if (!projectIds.length) {
-      setPhase("Done"); detail.textContent = "No projects resolved."; outRaw.textContent = JSON.stringify(versionMap, null, 2); return null;
-    }
-    setBar(3, 6);
-
-    // Helpers
-    function getLoaderForProject(proj, cat, packLoader) {
-      // For mods, use the pack loader (fabric, etc.)
-      if (cat === "mod") {
-        // console.log(`[DEBUG] Using pack loader '${packLoader}' for mod category`);
-        return packLoader;
-      }
-      
-      // For resourcepacks and shaderpacks, use the project's actual loaders if available
-      // Otherwise fall back to category defaults
-      if (proj?.loaders && Array.isArray(proj.loaders) && proj.loaders.length > 0) {
-        const selectedLoader = proj.loaders[0];
-        // console.log(`[DEBUG] Using project loader '${selectedLoader}' for ${cat} (available: ${proj.loaders.join(', ')})`);
-        return selectedLoader; // Use first available loader
-      }
-      
-      // Fallback if no project data available
-      const fallbackLoader = (cat === "resourcepack" || cat === "shaderpack" || cat === "datapack") ? "minecraft" : packLoader;
-      // console.log(`[DEBUG] No project loaders found, using fallback '${fallbackLoader}' for ${cat}`);
-      return fallbackLoader;
-    }
-
-
-    async function mapLimitProgress(items, limit, fn, onTick) {
-      const out = new Array(items.length);
-      let i = 0, done = 0;
-      const running = new Set();
-      async function run(idx) {
-        const p = fn(items[idx]).then(v => out[idx] = v).finally(() => {
-          running.delete(p);
-          done++; onTick?.(done, items.length);
-        });
-        running.add(p);
-        await p;
-      }
-      while (i < items.length) {
-        while (running.size < limit && i < items.length) await run(i++);
-        if (running.size) await Promise.race(running);
-      }
-      return out;
-    }
-
-    // Step 4: fetch project info + best target version, with progress (+ Carpet fallback only if Modrinth missing)
-    setPhase("Fetching project metadata…");
-    const projectMap = await getProjectsBatch(projectIds);
-    setBar(4, 6);
-    setPhase("Checking target availability…", `0 / ${projectIds.length}`);
-    const rows = await mapLimitProgress(
-      projectIds,
-      MAX_CONCURRENCY,
-      async (pid) => {
-        const rep = projectEntries.get(pid)?.anyVersion;
-        const cat = projectEntries.get(pid)?.category || "mod";
-        const proj = projectMap.get(pid);
-        const projectName = proj?.title || rep?.name || "(unknown)";
-        const loader = getLoaderForProject(proj, cat, packLoader);
-        const bestModrinth = await getBestTargetVersion(pid, targetMc, loader, projectName);
-
-        let best = bestModrinth;
-        let source = proj ? "modrinth" : "none";
-
-        // Carpet fallback (only if Modrinth has no target build)
-        const isCarpet = (proj?.slug === "fabric-carpet") || (pid === "TQTTVgYE");
-        if (!bestModrinth && isCarpet) {
-          const gh = await fetchCarpetGitHubRelease(targetMc);
-          if (gh) { best = gh; source = "github-fallback"; }
-        }
-
-        // Cache file metadata (only for Modrinth results)
-        let fmeta = null;
-        if (bestModrinth) fmeta = pickPrimaryFile(bestModrinth);
-
-        // Build project URL for badge link
-        const typePath =
-          (proj?.project_type === "mod" || cat === "mod") ? "mod" :
-          (proj?.project_type === "resourcepack" || cat === "resourcepack") ? "resourcepack" :
-          (proj?.project_type === "shader" || cat === "shaderpack") ? "shader" :
-          (proj?.project_type === "datapack" || cat === "datapack") ? "datapack" :
-          "project";
-        const project_url = proj?.slug
-          ? `https://modrinth.com/${typePath}/${proj.slug}`
-          : `https://modrinth.com/project/${pid}`;
-
-        return {
-          project_id: pid,
-          project_url,
-          category: cat,
-          name: projectName,
-          slug: proj?.slug,
-          current_version_number: rep?.version_number || "-",
-          current_mc: PACK_MC,
-          target_loader: loader,
-          target_available: !!best,
-          target_version_number: best?.version_number || "-",
-          target_mc: targetMc,
-          target_date: best?.date_published || null,
-          download_url: best?.files?.[0]?.url || best?.download_url || null,
-          source,
-          // cached file meta for builder
-          target_file_sha1:   fmeta?.hashes?.sha1 || null,
-          target_file_sha512: fmeta?.hashes?.sha512 || null,
-          target_file_size:   Number.isFinite(fmeta?.size) ? fmeta.size : null,
-          target_file_url:    fmeta?.url || null,
-          target_file_name:   fmeta?.filename || null
-        };
-      },
-      (done, total) => {
-        setPhase("Checking target availability…", `${done} / ${total}`);
-        const stepBase = 4;
-        const stepWidth = done / total;
-        setBar(stepBase + stepWidth, 6);
-      }
-    );
-
-    this.rows = rows;
-    this.targetMc = targetMc;
-    this.selectedLoader = packLoader;
-
-    return rows;
-  }
-
-  // Build method (moved from buildBtn event listener)
-  async build() {
-    if (!this.hasData()) {
-      alert("Run a check first.");
-      return;
-    }
-
-    buildBtn.disabled = true;
-    dlLink.style.display = "none";
-    buildNote.textContent = "Building .mrpack…";
-    setPhase("Packaging mrpack…");
-    setBar(4, 5);
-
-    try {
-      // Only include rows with Modrinth source and cached file meta
-      const includable = this.rows.filter(r =>
-        r.target_available &&
-        r.source === "modrinth" &&
-        r.target_file_sha512 && r.target_file_sha1 &&
-        r.target_file_size && r.target_file_url
-      );
-
-      const fileRecords = [];
-      for (const row of includable) {
-        const of = this.projectIdToOrigFile.get(row.project_id) || {};
-        const path = of.path || inferPathFromCategory(row);
-        const env  = of.env || { client: "required", server: "required" };
-        fileRecords.push({
-          path,
-          hashes: { sha512: row.target_file_sha512, sha1: row.target_file_sha1 },
-          env,
-          downloads: [row.target_file_url],
-          fileSize: row.target_file_size
-        });
-      }
-
-      // Build new index
-      const newIndex = structuredClone(this.index);
-      newIndex.dependencies = Object.assign({}, newIndex.dependencies, { minecraft: this.targetMc });
-
-      // If selected loader is fabric, set fabric-loader to recommended version for target MC
-      let loaderNote = "";
-      if (this.selectedLoader === "fabric") {
-        const rec = await getRecommendedLoaderVersion(this.targetMc, "fabric");
-        if (rec) {
-          newIndex.dependencies["fabric-loader"] = rec;
-          loaderNote = `Fabric Loader set to ${rec}.`;
-        } else {
-          if (newIndex.dependencies["fabric-loader"]) {
-            loaderNote = `Kept existing Fabric Loader ${newIndex.dependencies["fabric-loader"]} (meta lookup failed).`;
-          } else {
-            loaderNote = `Fabric Loader not set (meta lookup failed).`;
-          }
-        }
-      }
-
-      newIndex.name = `${(this.name || "Pack").replace(/\s+$/, "")} (for ${this.targetMc})`;
-      newIndex.files = fileRecords;
-
-      // Package: copy overrides/ + write index
-      const outZip = new JSZip();
-
-      const overrideEntries = Object.values(this.zip.files).filter(e => e.name.startsWith("overrides/") && !e.dir);
-      for (const e of overrideEntries) {
-        const content = await this.zip.file(e.name).async("arraybuffer");
-        outZip.file(e.name, content);
-      }
-      outZip.file("modrinth.index.json", JSON.stringify(newIndex, null, 2));
-
-      const blob = await outZip.generateAsync({ type: "blob" });
-      const fileName = `${slugify(newIndex.name)}.mrpack`;
-
-      const url = URL.createObjectURL(blob);
-      dlLink.href = url;
-      dlLink.download = fileName;
-      dlLink.textContent = `Download ${fileName}`;
-      dlLink.style.display = "inline";
-
-      // Warn about excluded rows (GitHub fallback / missing meta)
-      const skipped = this.rows.filter(r =>
-        r.target_available &&
-        (r.source !== "modrinth" || !(r.target_file_sha512 && r.target_file_sha1 && r.target_file_size && r.target_file_url))
-      );
-
-      if (!skipped.length) {
-        buildNote.textContent = `Built from all available Modrinth versions. ${loaderNote}`;
-      } else {
-        const names = skipped.map(r => r.name || r.slug || r.project_id).join(", ");
-        buildNote.innerHTML =
-          `Built pack excludes ${skipped.length} item(s) without Modrinth-downloadable metadata (e.g., GitHub fallback): ` +
-          `<span class="muted">${escapeHtml(names)}</span>. ${escapeHtml(loaderNote)}`;
-      }
+// Create global instance; analysis progress goes to the status area
+const currentModpack = new Modpack({
+  phase: setPhase,
+  progress: setBar,
+  summary: text => { outSummary.textContent = text; },
+  packLoaded: updateTitle,
+  raw: data => { outRaw.textContent = JSON.stringify(data, null, 2); },
+  confirm: async message => confirm(message)
+});
 
-      setBar(5, 5);
-      setPhase("Done");
-    } catch (e) {
-      console.error(e);
-      buildNote.textContent = `Build failed: ${e.message || e}`;
-      setPhase("Error", e.message || String(e));
-    } finally {
-      buildBtn.disabled = false;
-    }
-  }
-}
+/* ---------- RESULTS TABLE CLASS ---------- */
+// Version picker entry that fetches the full version list for bulk-resolved rows
+const LOAD_ALL_VERSIONS = "__load_all__";
 
-// Create global instance
-const currentModpack = new Modpack();
+const STATUS_DISPLAY = {
+  [ROW_STATUS.AVAILABLE]:       { label: "✅", cls: "ok" },
+  [ROW_STATUS.UNAVAILABLE]:     { label: "❌", cls: "no" },
+  [ROW_STATUS.ERROR]:           { label: "⚠️ check failed", cls: "failed" },
+  [ROW_STATUS.PROJECT_DELETED]: { label: "🗑️ project deleted", cls: "no" },
+  [ROW_STATUS.SKIPPED]:         { label: "⏭️ skipped", cls: "muted" }
+};
 
-/* ---------- RESULTS TABLE CLASS ---------- */
 class ResultsTable {
   constructor() {
     this.modsTable = $("mods-table");
     this.resTable = $("res-table");
     this.shaderTable = $("shader-table");
     this.datapacksTable = $("datapacks-table");
+    this.externalTable = $("external-table");
+    this.overridesTable = $("overrides-table");
   }
 
   clear() {
@@ -564,6 +84,8 @@ class ResultsTable {
     this.resTable.innerHTML = "";
     this.shaderTable.innerHTML = "";
     this.datapacksTable.innerHTML = "";
+    this.externalTable.innerHTML = "";
+    this.overridesTable.innerHTML = "";
   }
 
   render(rows) {
@@ -576,6 +98,77 @@ class ResultsTable {
     this.resTable.innerHTML      = this.renderTable(res);
     this.shaderTable.innerHTML   = this.renderTable(sh);
     this.datapacksTable.innerHTML = this.renderTable(dp);
+    this.externalTable.innerHTML = this.renderExternalTable(currentModpack.externalFiles);
+    this.renderOverrides();
+  }
+
+  // Override folders: a per-folder summary, then every file with a checkbox to leave it out of the build
+  renderOverrides() {
+    const files = currentModpack.overrideFiles;
+    if (!files.length) {
+      this.overridesTable.innerHTML = `<div class="muted">No entries.</div>`;
+      return;
+    }
+    const folders = currentModpack.getOverrideSummary().filter(f => f.count);
+    this.overridesTable.innerHTML = [
+      `<div id="overrides-summary">${this.renderOverrideSummary()}</div>`,
+      ...folders.map(({ folder }) => [
+        `<details class="overrides-folder"><summary>${escapeHtml(folder)}</summary>`,
+        "<table><thead><tr><th>Keep</th><th>Path</th><th>Size</th></tr></thead><tbody>",
+        ...files.map((e, i) => e.folder !== folder ? "" : `<tr class="${e.keep ? "" : "dropped"}">
+          <td><input type="checkbox" ${e.keep ? "checked" : ""}
+               title="Copy this file into the built pack"
+               onchange="setOverrideFileKept(${i}, this.checked); this.closest('tr').classList.toggle('dropped', !this.checked)"></td>
+          <td>${escapeHtml(e.path.slice(folder.length))}</td>
+          <td>${formatBytes(e.size)}</td>
+        </tr>`),
+        "</tbody></table></details>"
+      ].join(""))
+    ].join("");
+  }
+
+  renderOverrideSummary() {
+    return [
+      "<table>",
+      "<thead><tr><th>Folder</th><th>Files</th><th>Size</th><th>In build</th></tr></thead><tbody>",
+      ...currentModpack.getOverrideSummary().map(f => `<tr>
+        <td>${escapeHtml(f.folder)}</td>
+        <td>${f.count}</td>
+        <td>${formatBytes(f.size)}</td>
+        <td>${f.keptCount === f.count ? "all" : `${f.keptCount} (${formatBytes(f.keptSize)})`}</td>
+      </tr>`),
+      "</tbody></table>"
+    ].join("");
+  }
+
+  renderExternalTable(entries) {
+    if (!entries?.length) return `<div class="muted">No entries.</div>`;
+
+    const html = [
+      "<table>",
+      "<thead><tr>",
+      "<th>Keep</th>",
+      "<th>Path</th>",
+      "<th>Size</th>",
+      "<th>Download URLs</th>",
+      "</tr></thead><tbody>",
+      ...entries.map((e, i) => {
+        const size = formatBytes(e.file?.fileSize);
+        const urls = e.downloads.length
+          ? e.downloads.map(u => isHttpUrl(u) ? `<a href="${escapeHtml(u)}" target="_blank" rel="noreferrer">${escapeHtml(u)}</a>` : escapeHtml(u)).join("<br>")
+          : `<span class="muted">none</span>`;
+        return `<tr class="${e.keep ? "" : "dropped"}">
+          <td><input type="checkbox" ${e.keep ? "checked" : ""}
+               title="Carry this file into the built pack unchanged"
+               onchange="currentModpack.setExternalFileKept(${i}, this.checked); this.closest('tr').classList.toggle('dropped', !this.checked)"></td>
+          <td>${escapeHtml(e.path || "(no path)")}</td>
+          <td>${size}</td>
+          <td class="small">${urls}</td>
+        </tr>`;
+      }),
+      "</tbody></table>"
+    ].join("");
+    return html;
   }
 
   renderTable(rows) {
@@ -603,6 +196,9 @@ class ResultsTable {
       "<th>Loader</th>",
       `<th>Has ${escapeHtml(targetMc)}</th>`,
       "<th>Target mod</th>",
+      "<th>Channel</th>",
+      "<th>In build</th>",
+      "<th>Env</th>",
       "<th>Source</th>",
       "<th>Published</th>",
       "<th>Download</th>",
@@ -610,22 +206,43 @@ class ResultsTable {
       ...sortedRows.map(r => {
         const ok = r.target_available;
         const date = r.target_date ? new Date(r.target_date).toLocaleDateString() : "-";
-        const dl = r.download_url ? `<a href="${r.download_url}" target="_blank" rel="noreferrer">.jar</a>` : "";
+        const dl = isHttpUrl(r.download_url) ? `<a href="${escapeHtml(r.download_url)}" target="_blank" rel="noreferrer">.jar</a>` : "";
         const sourceBadge =
           r.source === "github-fallback"
-            ? `<a class="badge github-fallback" href="https://github.com/gnembon/fabric-carpet/releases" target="_blank" rel="noreferrer" title="Found on GitHub because Modrinth had no ${escapeHtml(r.target_mc)} build">GitHub fallback</a>`
+            ? `<a class="badge github-fallback" href="${escapeHtml(r.fallback?.release_url || `https://github.com/${r.github_repo}/releases`)}" target="_blank" rel="noreferrer"
+                 title="Found in the GitHub releases of ${escapeHtml(r.github_repo || "")} because Modrinth had no ${escapeHtml(r.target_mc)} build">GitHub</a>`
             : r.source === "modrinth"
               ? `<a class="badge modrinth" href="${escapeHtml(r.project_url)}" target="_blank" rel="noreferrer"
                    title="Open on Modrinth${r.target_file_sha512 ? ' — included in .mrpack' : ''}">Modrinth</a>`
               : `<span class="badge" title="No match">–</span>`;
-        return `<tr>
-          <td>${escapeHtml(r.name || "(unknown)")}</td>
+        const depBadge = r.added_as_dependency
+          ? ` <span class="badge dependency" title="Required by ${escapeHtml((r.required_by || []).join(", "))}">added as dependency</span>`
+          : "";
+        const embeddedBadge = r.embedded_paths?.length
+          ? ` <span class="badge embedded" title="Shipped inside the pack as ${escapeHtml(r.embedded_paths.join(", "))}; the build replaces it with a download">embedded</span>`
+          : "";
+        const conflictBadge = r.conflicts?.length
+          ? ` <span class="badge conflict" title="Declared incompatible with ${escapeHtml(r.conflicts.map(c => c.name).join(", "))}">⚠️ incompatible: ${escapeHtml(r.conflicts.map(c => c.name).join(", "))}</span>`
+          : "";
+        const fallbackLoaderBadge = r.target_available && r.resolved_loader && r.resolved_loader !== r.target_loader
+          ? ` <span class="badge loader-fallback" title="No ${escapeHtml(r.target_loader)} build; satisfied by a ${escapeHtml(r.resolved_loader)} build">via ${escapeHtml(r.resolved_loader)}</span>`
+          : "";
+        const disposition = currentModpack.getDisposition(r);
+        const rowClass = r.conflicts?.length ? "conflict-row"
+          : disposition === ROW_DISPOSITION.KEEP ? "kept-row"
+          : disposition === ROW_DISPOSITION.REMOVE && currentModpack.hasOriginalFile(r) ? "removed-row"
+          : "";
+        return `<tr${rowClass ? ` class="${rowClass}"` : ""}>
+          <td>${escapeHtml(r.name || "(unknown)")}${depBadge}${embeddedBadge}${conflictBadge}</td>
           <td>${escapeHtml(r.current_version_number)}</td>
           <td>${escapeHtml(r.current_mc)}</td>
-          <td>${escapeHtml(r.target_loader || "-")}</td>
-          <td class="${ok ? "ok" : "no"}">${ok ? "✅" : "❌"}</td>
-          <td>${escapeHtml(r.target_version_number)}</td>
-          <td>${sourceBadge}</td>
+          <td>${escapeHtml(r.target_loader || "-")}${fallbackLoaderBadge}</td>
+          <td class="${STATUS_DISPLAY[r.status]?.cls || "no"}"${r.check_error ? ` title="${escapeHtml(r.check_error)}"` : ""}>${STATUS_DISPLAY[r.status]?.label || "❌"}</td>
+          <td>${this.renderVersionPicker(r)}</td>
+          <td>${this.renderChannelPicker(r)}</td>
+          <td>${this.renderDispositionPicker(r, disposition)}</td>
+          <td>${this.renderEnvPicker(r)}</td>
+          <td>${sourceBadge}${this.renderAssetPattern(r)}</td>
           <td>${date}</td>
           <td>${dl}</td>
         </tr>`;
@@ -635,16 +252,262 @@ class ResultsTable {
     return html;
   }
 
+  renderVersionPicker(r) {
+    if (!r.versions?.length || r.source !== "modrinth") return escapeHtml(r.target_version_number);
+
+    const options = r.versions.map(v => {
+      const date = v.date_published ? new Date(v.date_published).toLocaleDateString() : "";
+      const label = `${v.version_number} (${v.version_type}${date ? `, ${date}` : ""})`;
+      const allowed = isVersionAllowed(v, currentModpack.getEffectivePolicy(r));
+      return `<option value="${escapeHtml(v.id)}"${v.id === r.target_version_id ? " selected" : ""}${allowed ? "" : " disabled"}>${escapeHtml(label)}</option>`;
+    }).join("") + (r.versions_complete ? "" : `<option value="${LOAD_ALL_VERSIONS}">Load all versions…</option>`);
+    if (r.excluded_by_policy) {
+      return `<select class="version-picker" disabled title="No version allowed by the channel policy">${options}</select>`;
+    }
+    const overridden = r.version_overridden ? ` <span class="badge" title="Not the automatically picked version">override</span>` : "";
+    return `<select class="version-picker" onchange="selectRowVersion('${escapeHtml(r.project_id)}', this.value)">${options}</select>${overridden}`;
+  }
+
+  renderChannelPicker(r) {
+    if (r.source !== "modrinth" || !r.versions?.length) return `<span class="muted">-</span>`;
+
+    const options = [
+      `<option value=""${r.channel_policy ? "" : " selected"}>pack default</option>`,
+      ...Object.entries(CHANNEL_POLICY_LABELS).map(([value, label]) =>
+        `<option value="${value}"${r.channel_policy === value ? " selected" : ""}>${label}</option>`)
+    ].join("");
+    const excluded = r.excluded_by_policy
+      ? ` <span class="badge policy" title="Builds exist, but only on channels this policy excludes">excluded by policy</span>`
+      : "";
+    return `<select class="version-picker" onchange="setRowChannelPolicy('${escapeHtml(r.project_id)}', this.value)">${options}</select>${excluded}`;
+  }
+
+  // What build() does with the row: update, keep the current file, or remove it
+  renderDispositionPicker(r, disposition) {
+    const options = [
+      [ROW_DISPOSITION.UPDATE, "update", r.target_available],
+      [ROW_DISPOSITION.KEEP, "keep current (unsafe)", currentModpack.hasOriginalFile(r)],
+      [ROW_DISPOSITION.REMOVE, "remove", true]
+    ].map(([value, label, enabled]) =>
+      `<option value="${value}"${value === disposition ? " selected" : ""}${enabled ? "" : " disabled"}>${label}</option>`).join("");
+    return `<select class="version-picker" onchange="setRowDisposition('${escapeHtml(r.project_id)}', this.value)"` +
+      ` title="What the built pack does with this project">${options}</select>`;
+  }
+
+  // Regex for the row's GitHub release assets, offered when Modrinth has no build and the source is on GitHub
+  renderAssetPattern(r) {
+    if (!r.github_repo || r.versions?.length || r.check_status) return "";
+    const pattern = currentModpack.getGitHubAssetPattern(r.project_id, r.slug) || "";
+    return ` <input class="version-picker asset-pattern" type="text" value="${escapeHtml(pattern)}" placeholder="asset regex"` +
+      ` title="Regex for ${escapeHtml(r.github_repo)} release assets; {mc} stands for the target MC version. Empty: match by MC version"` +
+      ` onchange="setGitHubAssetPattern('${escapeHtml(r.project_id)}', this.value)">`;
+  }
+
+  // Client / server env written for the row's files, flagged when the pack disagrees with Modrinth
+  renderEnvPicker(r) {
+    const env = currentModpack.getEnv(r);
+    const picker = side => {
+      const options = ENV_VALUES.map(v => `<option value="${v}"${v === env[side] ? " selected" : ""}>${side}: ${v}</option>`).join("");
+      return `<select class="version-picker" onchange="setRowEnv('${escapeHtml(r.project_id)}', '${side}', this.value)"` +
+        ` title="env.${side} of this project's files in the built pack">${options}</select>`;
+    };
+    const flag = currentModpack.hasEnvMismatch(r)
+      ? ` <span class="badge conflict" title="The pack says client ${escapeHtml(r.env_original.client)} / server ${escapeHtml(r.env_original.server)}; ` +
+        `Modrinth says client ${escapeHtml(r.env_suggested.client)} / server ${escapeHtml(r.env_suggested.server)}">⚠️ differs from Modrinth</span>`
+      : "";
+    return `${picker("client")} ${picker("server")}${flag}`;
+  }
+
   updateSummary(rows, targetMc) {
     const total = rows.length;
     const have = rows.filter(r => r.target_available).length;
-    outSummary.textContent = `Done. ${have}/${total} have a ${targetMc} build.`;
+    const excluded = rows.filter(r => r.excluded_by_policy).length;
+    const policyNote = excluded ? ` ${excluded} excluded only by the channel policy.` : "";
+    const count = status => rows.filter(r => r.status === status).length;
+    const failed = count(ROW_STATUS.ERROR);
+    const deleted = count(ROW_STATUS.PROJECT_DELETED);
+    const skipped = count(ROW_STATUS.SKIPPED);
+    const failedNote =
+      (failed ? ` ⚠️ ${failed} check(s) failed (rate limit or network) — not counted as missing.` : "") +
+      (skipped ? ` ${skipped} skipped.` : "") +
+      (deleted ? ` ${deleted} project(s) deleted from Modrinth.` : "");
+    const viaFallback = rows.filter(r => r.target_available && r.resolved_loader && r.resolved_loader !== r.target_loader).length;
+    const fallbackNote = viaFallback ? ` ${viaFallback} resolved through a fallback loader.` : "";
+    const deps = rows.filter(r => r.added_as_dependency).length;
+    const depNote = deps ? ` ${deps} required ${deps === 1 ? "dependency" : "dependencies"} added.` : "";
+    const conflicts = rows.filter(r => r.conflicts?.length).length;
+    const conflictNote = conflicts ? ` ⚠️ ${conflicts} item(s) have incompatibility conflicts.` : "";
+    const kept = rows.filter(r => currentModpack.getDisposition(r) === ROW_DISPOSITION.KEEP).length;
+    const removed = rows.filter(r => currentModpack.hasOriginalFile(r) && currentModpack.getDisposition(r) === ROW_DISPOSITION.REMOVE).length;
+    const dispositionNote =
+      (kept ? ` ⚠️ ${kept} kept at their current version (may not work on ${targetMc}).` : "") +
+      (removed ? ` ${removed} will be removed from the pack.` : "");
+    const envMismatches = rows.filter(r => currentModpack.hasEnvMismatch(r)).length;
+    const envNote = envMismatches ? ` ${envMismatches} item(s) have an env that differs from Modrinth's client/server support.` : "";
+    const external = currentModpack.externalFiles.length;
+    const externalNote = external ? ` ${external} unknown/external file(s) kept as-is.` : "";
+    let migrationNote = "";
+    if (currentModpack.isCrossLoader()) {
+      const mods = rows.filter(r => r.category === "mod" && !r.added_as_dependency);
+      const ported = mods.filter(r => r.target_available).length;
+      migrationNote = ` Cross-loader migration ${currentModpack.sourceLoader} → ${currentModpack.selectedLoader}: ${ported}/${mods.length} mods exist for ${currentModpack.selectedLoader}.`;
+    }
+    outSummary.textContent = `Done. ${have}/${total} have a ${targetMc} build.${failedNote}${migrationNote}${fallbackNote}${policyNote}${depNote}${conflictNote}${dispositionNote}${envNote}${externalNote}`;
   }
 }
 
 // Create global instance
 const resultsTable = new ResultsTable();
 
+/* ---------- DIFF REPORT ---------- */
+class DiffView {
+  constructor() {
+    this.container = $("diff-report");
+    this.body = $("diff-body");
+    this.exportMdBtn = $("diff-export-md");
+    this.exportJsonBtn = $("diff-export-json");
+    this.diff = null;
+
+    this.exportMdBtn.addEventListener("click", () => this.export("md"));
+    this.exportJsonBtn.addEventListener("click", () => this.export("json"));
+  }
+
+  clear() {
+    this.diff = null;
+    this.body.innerHTML = "";
+    this.container.style.display = "none";
+  }
+
+  render(diff) {
+    this.diff = diff;
+    const t = diff.totals;
+    const sizeCell = n => Number.isFinite(n) ? formatBytes(n) : "-";
+    const deltaCell = n => Number.isFinite(n) ? `${n >= 0 ? "+" : "−"}${formatBytes(Math.abs(n))}` : "-";
+
+    const section = (title, entries, cols) => {
+      if (!entries.length) return "";
+      return [
+        `<h3>${escapeHtml(title)} (${entries.length})</h3>`,
+        "<table><thead><tr>",
+        ...cols.map(c => `<th>${escapeHtml(c.label)}</th>`),
+        "</tr></thead><tbody>",
+        ...entries.map(e => `<tr>${cols.map(c => `<td>${c.cell(e)}</td>`).join("")}</tr>`),
+        "</tbody></table>"
+      ].join("");
+    };
+
+    const name = { label: "Name", cell: e => escapeHtml(e.name) };
+    const path = { label: "Path", cell: e => `<span class="small muted">${escapeHtml(e.path)}</span>` };
+    const change = { label: "Version", cell: e => `${escapeHtml(e.from || "-")} → ${escapeHtml(e.to || "-")}` };
+    const delta = { label: "Size Δ", cell: e => deltaCell(e.size_delta) };
+
+    const depRows = diff.dependencies.map(d =>
+      `<tr><td>${escapeHtml(d.key)}</td><td>${escapeHtml(d.before ?? "-")}</td><td>${escapeHtml(d.after ?? "-")}</td></tr>`).join("");
+
+    this.body.innerHTML = [
+      `<p class="counts">${diff.added.length} added, ${diff.removed.length} removed, ${diff.upgraded.length} upgraded, ` +
+        `${diff.downgraded.length} downgraded, ${diff.changed.length} changed, ${diff.kept.length} kept at current version, ${diff.unchanged} unchanged. ` +
+        `Size ${sizeCell(t.size_before)} → ${sizeCell(t.size_after)} (${deltaCell(t.size_delta)}).</p>`,
+      depRows ? `<h3>Dependencies</h3><table><thead><tr><th>Key</th><th>Before</th><th>After</th></tr></thead><tbody>${depRows}</tbody></table>` : "",
+      section("Added", diff.added, [name, { label: "Version", cell: e => escapeHtml(e.to || "-") }, path, { label: "Size", cell: e => sizeCell(e.size_after) }]),
+      section("Removed", diff.removed, [name, { label: "Version", cell: e => escapeHtml(e.from || "-") }, path, { label: "Size", cell: e => sizeCell(e.size_before) },
+        { label: "Why", cell: e => e.forced ? `<span class="no">no Modrinth ${escapeHtml(diff.dependencies.find(d => d.key === "minecraft")?.after || "target")} version</span>`
+          : e.unmatched ? `<span class="no">no counterpart in the new version</span>` : "removed" }]),
+      section("Upgraded", diff.upgraded, [name, change, delta]),
+      section("Downgraded", diff.downgraded, [name, change, delta]),
+      section("Changed (order unknown)", diff.changed, [name, change, delta]),
+      section("⚠️ Kept at current version (may not work)", diff.kept, [name, { label: "Version", cell: e => escapeHtml(e.from || "-") }, path])
+    ].join("");
+    this.container.style.display = "block";
+  }
+
+  export(format) {
+    if (!this.diff) return;
+    const base = slugify(this.diff.pack.after || "pack");
+    const [content, type, ext] = format === "md"
+      ? [diffToMarkdown(this.diff), "text/markdown", "md"]
+      : [JSON.stringify(this.diff, null, 2), "application/json", "json"];
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${base}-changelog.${ext}`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// Create global instance
+const diffView = new DiffView();
+
+/* ---------- VERSION MATRIX ---------- */
+class MatrixView {
+  constructor() {
+    this.container = $("matrix-report");
+    this.body = $("matrix-body");
+  }
+
+  clear() {
+    this.body.innerHTML = "";
+    this.container.style.display = "none";
+  }
+
+  /**
+   * Render one column per checked Minecraft version, with per-column totals
+   * @param {Modpack} modpack - Modpack holding the matrix results
+   */
+  render(modpack) {
+    const matrix = modpack.matrix;
+    if (!matrix) { this.clear(); return; }
+
+    // Union of projects across columns (dependency rows can differ per version)
+    const projects = new Map();
+    for (const mc of matrix.targets) {
+      for (const r of matrix.columns.get(mc).rows) {
+        if (!projects.has(r.project_id)) projects.set(r.project_id, r);
+      }
+    }
+    const byColumn = new Map(matrix.targets.map(mc =>
+      [mc, new Map(matrix.columns.get(mc).rows.map(r => [r.project_id, r]))]));
+    // class attribute of a column's cells: the active column is highlighted
+    const active = (mc, ...classes) => {
+      const names = [mc === modpack.targetMc && "active", ...classes].filter(Boolean);
+      return names.length ? ` class="${names.join(" ")}"` : "";
+    };
+
+    const head = matrix.targets.map(mc =>
+      `<th${active(mc)}>${escapeHtml(mc)}<br>` +
+      (mc === modpack.targetMc
+        ? `<span class="small muted">selected</span>`
+        : `<button class="small" onclick="selectMatrixColumn('${escapeHtml(mc)}')">Use for build</button>`) +
+      `</th>`).join("");
+
+    const body = [...projects.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(p => {
+        const cells = matrix.targets.map(mc => {
+          const r = byColumn.get(mc).get(p.project_id);
+          if (!r) return `<td${active(mc, "muted")}>-</td>`;
+          const status = STATUS_DISPLAY[r.status] || STATUS_DISPLAY[ROW_STATUS.UNAVAILABLE];
+          const version = r.target_available ? ` <span class="small">${escapeHtml(r.target_version_number || "")}</span>` : "";
+          return `<td${active(mc)}><span class="${status.cls}">${status.label}</span>${version}</td>`;
+        }).join("");
+        return `<tr><td>${escapeHtml(p.name)}</td>${cells}</tr>`;
+      }).join("");
+
+    const totals = modpack.getMatrixTotals().map(t =>
+      `<td${active(t.mc)}>${t.available} / ${t.total}` +
+      (t.failed ? ` <span class="small failed">(${t.failed} failed)</span>` : "") +
+      (t.excludedByPolicy ? ` <span class="small muted">(${t.excludedByPolicy} excluded by policy)</span>` : "") + `</td>`).join("");
+
+    this.body.innerHTML = `<table><thead><tr><th>Project</th>${head}</tr></thead>` +
+      `<tbody>${body}</tbody><tfoot><tr><td>Available</td>${totals}</tr></tfoot></table>`;
+    this.container.style.display = "block";
+  }
+}
+
+// Create global instance
+const matrixView = new MatrixView();
+
 /* ---------- MISSING ITEMS MANAGER ---------- */
 class MissingItemsManager {
   constructor() {
@@ -910,7 +773,16 @@ class MissingItemsManager {
         }
 
         const loader = item.loader || getDefaultLoaderForCategory(item.category);
-        let found = await checkModrinthVersionAvailability(item.projectId, item.targetMcVersion, loader, item.name);
+        let found;
+        try {
+          found = await checkModrinthVersionAvailability(item.projectId, item.targetMcVersion, getLoaderChain(loader, item.targetMcVersion), item.name);
+        } catch (e) {
+          if (!(e instanceof RequestFailedError)) throw e;
+          // Leave the item's status alone; a failed check tells us nothing
+          console.warn(`Skipping ${item.name}: check failed (${e.message})`);
+          checkedCount++;
+          continue;
+        }
 
         this.updateMissingItemStatus(item.id, found);
         if (found) foundCount++;
@@ -1006,15 +878,68 @@ class ThemeManager {
 const themeManager = new ThemeManager();
 
 /* ---------- FILE INPUT HANDLER ---------- */
-fileInput.addEventListener("change", (e) => {
+// Hide the previous check's results and build controls
+function clearResults() {
+  resultsTable.clear();
+  diffView.clear();
+  matrixView.clear();
+  outRaw.textContent = "";
+  buildControls.style.display = "none";
+  buildBtn.disabled = true;
+  captureMissingBtn.disabled = true;
+  captureMissingBtn.style.display = "none";
+  retryFailedBtn.style.display = "none";
+  modrinthEnvBtn.style.display = "none";
+  dlLink.style.display = "none";
+  serverPackControls.style.display = "none";
+  serverDlLink.style.display = "none";
+  buildNote.textContent = "";
+}
+
+fileInput.addEventListener("change", async (e) => {
   const file = e.target.files[0];
+  packInfo.textContent = "";
+  // The results so far are for the previous pack; load() drops them from the model too
+  if (currentModpack.hasData()) clearResults();
   if (file) {
     fileName.textContent = file.name;
   } else {
     fileName.textContent = "";
+    return;
+  }
+
+  // Peek at the index so the loader matches the pack before the user hits Check
+  try {
+    const index = await currentModpack.load(file);
+    if (!index) {
+      packInfo.textContent = "No modrinth.index.json in this file.";
+      return;
+    }
+    const { sourceLoader, sourceLoaderVersion, sourceMc } = currentModpack;
+    if (sourceLoader) loaderSelect.value = sourceLoader;
+    packInfo.textContent = `Pack: MC ${sourceMc || "?"}, ${sourceLoader ? `${LOADER_NAMES[sourceLoader]} ${sourceLoaderVersion}` : "no loader"}`;
+    resultsTable.renderOverrides();
+  } catch (err) {
+    console.warn("Failed to read pack index:", err);
+    packInfo.textContent = "Could not read this .mrpack.";
   }
+  updateLoaderWarning();
 });
 
+/* ---------- LOADER MISMATCH WARNING ---------- */
+function updateLoaderWarning() {
+  const source = currentModpack.sourceLoader;
+  const mismatch = !!source && loaderSelect.value !== source;
+  loaderWarning.style.display = mismatch ? "inline-flex" : "none";
+  if (mismatch) {
+    loaderWarningText.textContent = `⚠️ This pack uses ${source}, not ${loaderSelect.value}.`;
+  } else {
+    crossLoaderCheckbox.checked = false;
+  }
+}
+
+loaderSelect.addEventListener("change", updateLoaderWarning);
+
 /* ---------- HELP MODAL ---------- */
 const helpBtn = $("help-btn");
 const helpModal = $("help-modal");
@@ -1151,7 +1076,7 @@ function updateTitle(packName = null) {
   try {
     mcSelect.disabled = true;
     mcSelect.innerHTML = `<option>Loading…</option>`;
-    const res = await fetch("https://api.modrinth.com/v2/tag/game_version");
+    const res = await apiFetch(`${API_BASES.modrinth}/tag/game_version`);
     if (!res.ok) throw new Error("Failed to fetch game versions");
     const tags = await res.json();
 
@@ -1162,50 +1087,16 @@ function updateTitle(packName = null) {
     clean.sort((a, b) => compareVersions(a, b));
 
     mcSelect.innerHTML = clean.map(v => `<option value="${v}">${v}</option>`).join("");
+    mcMatrixSelect.innerHTML = mcSelect.innerHTML;
     mcSelect.disabled = false;
   } catch (e) {
     mcSelect.innerHTML = `<option value="1.21.4">1.21.4</option>`;
+    mcMatrixSelect.innerHTML = mcSelect.innerHTML;
     mcSelect.disabled = false;
     console.warn("Falling back to static MC version list:", e);
   }
 })();
 
-/* ---------- GitHub fallback for Fabric Carpet only ---------- */
-function escReg(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"); }
-
-async function fetchCarpetGitHubRelease(targetMc, { includePrereleases = false } = {}) {
-  const res = await fetch("https://api.github.com/repos/gnembon/fabric-carpet/releases", {
-    headers: { "Accept": "application/vnd.github+json" }
-  });
-  if (!res.ok) return null;
-  const releases = await res.json();
-  const mcRe = new RegExp(`(^|\\b|-)${escReg(targetMc)}(\\b|-)`);
-  for (const r of releases) {
-    if (r.draft) continue;
-    if (!includePrereleases && r.prerelease) continue;
-    const asset = (r.assets || []).find(a =>
-      /\.jar$/i.test(a.name) &&
-      /fabric-?carpet/i.test(a.name) &&
-      mcRe.test(a.name)
-    );
-    if (asset) {
-      return {
-        version_number: r.tag_name || asset.name,
-        date_published: r.published_at || r.created_at || null,
-        download_url: asset.browser_download_url,
-        source: "github-fallback"
-      };
-    }
-  }
-  return null;
-}
-
-/* ---------- Prefer primary file from a version ---------- */
-function pickPrimaryFile(version) {
-  if (!version || !Array.isArray(version.files) || !version.files.length) return null;
-  return version.files.find(f => f.primary) || version.files[0];
-}
-
 /* ---------- Main flow functions ---------- */
 
 /* ---------- Main flow (check) ---------- */
@@ -1214,28 +1105,39 @@ runBtn.addEventListener("click", async () => {
   if (!file) { alert("Choose a .mrpack file first."); return; }
   const TARGET_MC = mcSelect.value;
   const PACK_LOADER = loaderSelect.value;
+  const CHANNEL_POLICY = channelSelect.value;
+  const MATRIX_MCS = matrixModeCheckbox.checked
+    ? [...mcMatrixSelect.selectedOptions].map(o => o.value)
+    : [];
+  if (matrixModeCheckbox.checked && !MATRIX_MCS.length) { alert("Pick at least one Minecraft version to compare."); return; }
+
+  const source = currentModpack.sourceLoader;
+  if (source && source !== PACK_LOADER && !crossLoaderCheckbox.checked) {
+    if (!confirm(`This pack was made for ${source}, but ${PACK_LOADER} is selected.\n\nRun as a cross-loader migration (report which mods exist for ${PACK_LOADER} and replace the loader in the built pack)?`)) return;
+    crossLoaderCheckbox.checked = true;
+  }
 
   resetProgress();
   updateTitle(); // Reset title to base title
-  resultsTable.clear();
-  outRaw.textContent = "";
-  buildControls.style.display = "none";
-  buildBtn.disabled = true;
-  captureMissingBtn.disabled = true;
-  captureMissingBtn.style.display = "none";
-  dlLink.style.display = "none";
-  buildNote.textContent = "";
+  clearResults();
+  stopBtn.style.display = "inline-block";
 
   try {
     // Step 1-4: Analyze modpack compatibility
-    const rows = await currentModpack.analyze(file, TARGET_MC, PACK_LOADER);
+    const rows = MATRIX_MCS.length
+      ? await currentModpack.analyzeMatrix(file, MATRIX_MCS, PACK_LOADER, CHANNEL_POLICY)
+      : await currentModpack.analyze(file, TARGET_MC, PACK_LOADER, CHANNEL_POLICY);
     if (!rows) return; // Error occurred during analysis
 
     // Step 5: Render results
     setPhase("Rendering results…");
+    if (currentModpack.matrix) {
+      mcSelect.value = currentModpack.targetMc;
+      matrixView.render(currentModpack);
+    }
     resultsTable.render(rows);
     outRaw.textContent = JSON.stringify(rows, null, 2);
-    resultsTable.updateSummary(rows, TARGET_MC);
+    resultsTable.updateSummary(rows, currentModpack.targetMc);
     setBar(5, 5);
     setPhase("Done");
 
@@ -1243,19 +1145,97 @@ runBtn.addEventListener("click", async () => {
     buildControls.style.display = "flex";
     buildBtn.disabled = false;
     buildNote.textContent = "Ready to build a new .mrpack from Modrinth results.";
+    populateLoaderVersions();
 
-    // Show capture missing button only if there are missing items
-    const missingItems = currentModpack.getMissingItems();
-    if (missingItems.length > 0) {
-      captureMissingBtn.disabled = false;
-      captureMissingBtn.style.display = "inline-block";
-      captureMissingBtn.textContent = `Remember ${missingItems.length} missing item${missingItems.length > 1 ? 's' : ''}`;
-    } else {
-      captureMissingBtn.style.display = "none";
-    }
+    updateRowActions();
   } catch (err) {
     console.error(err);
     setPhase("Error", err?.message || String(err));
+  } finally {
+    stopBtn.style.display = "none";
+    stopBtn.disabled = false;
+  }
+});
+
+/* ---------- Version matrix ---------- */
+matrixModeCheckbox.addEventListener("change", () => {
+  mcMatrixSelect.style.display = matrixModeCheckbox.checked ? "inline-block" : "none";
+  if (matrixModeCheckbox.checked && !mcMatrixSelect.selectedOptions.length) {
+    const option = [...mcMatrixSelect.options].find(o => o.value === mcSelect.value);
+    if (option) option.selected = true;
+  }
+});
+
+// Switch the table, summary and build target to another matrix column
+function selectMatrixColumn(mc) {
+  if (!currentModpack.selectMatrixColumn(mc)) return;
+  mcSelect.value = mc;
+  matrixView.render(currentModpack);
+  resultsTable.render(currentModpack.rows);
+  resultsTable.updateSummary(currentModpack.rows, mc);
+  outRaw.textContent = JSON.stringify(currentModpack.rows, null, 2);
+  diffView.clear();
+  dlLink.style.display = "none";
+  serverPackControls.style.display = "none";
+  serverDlLink.style.display = "none";
+  buildNote.textContent = `Ready to build a new .mrpack for ${mc}.`;
+  populateLoaderVersions();
+  updateRowActions();
+}
+
+/* ---------- Row actions (remember missing / retry failed) ---------- */
+function updateRowActions() {
+  // Show capture missing button only if there are missing items
+  const missingItems = currentModpack.getMissingItems();
+  if (missingItems.length > 0) {
+    captureMissingBtn.disabled = false;
+    captureMissingBtn.style.display = "inline-block";
+    captureMissingBtn.textContent = `Remember ${missingItems.length} missing item${missingItems.length > 1 ? 's' : ''}`;
+  } else {
+    captureMissingBtn.style.display = "none";
+  }
+
+  const envMismatches = currentModpack.getEnvMismatches();
+  if (envMismatches.length > 0) {
+    modrinthEnvBtn.disabled = false;
+    modrinthEnvBtn.style.display = "inline-block";
+    modrinthEnvBtn.textContent = `Use Modrinth env for ${envMismatches.length} item${envMismatches.length > 1 ? 's' : ''}`;
+  } else {
+    modrinthEnvBtn.style.display = "none";
+  }
+
+  const failedItems = currentModpack.getFailedItems();
+  if (failedItems.length > 0) {
+    retryFailedBtn.disabled = false;
+    retryFailedBtn.style.display = "inline-block";
+    retryFailedBtn.textContent = `Retry ${failedItems.length} failed row${failedItems.length > 1 ? 's' : ''}`;
+  } else {
+    retryFailedBtn.style.display = "none";
+  }
+}
+
+stopBtn.addEventListener("click", () => {
+  currentModpack.stopCheck();
+  stopBtn.disabled = true;
+  setPhase("Stopping…", "remaining rows will be marked as skipped");
+});
+
+retryFailedBtn.addEventListener("click", async () => {
+  retryFailedBtn.disabled = true;
+  buildBtn.disabled = true;
+  try {
+    const stillFailed = await currentModpack.retryFailedRows();
+    resultsTable.render(currentModpack.rows);
+    resultsTable.updateSummary(currentModpack.rows, currentModpack.targetMc);
+    if (currentModpack.matrix) matrixView.render(currentModpack);
+    outRaw.textContent = JSON.stringify(currentModpack.rows, null, 2);
+    setPhase("Done", stillFailed.length ? `${stillFailed.length} row(s) still failed.` : "All failed rows checked.");
+  } catch (e) {
+    console.error(e);
+    setPhase("Error", e.message || String(e));
+  } finally {
+    buildBtn.disabled = false;
+    updateRowActions();
   }
 });
 
@@ -1263,43 +1243,219 @@ function escapeHtml(s) {
   return String(s).replace(/[&<>"']/g, c => ({ "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;" }[c]));
 }
 
-/* ---------- Loader version lookup (Fabric) ---------- */
-async function getRecommendedLoaderVersion(targetMc, loaderName) {
-  if (loaderName !== "fabric") return null; // only fabric for now
+// Only http(s) URLs become links: download URLs come from the pack and from API answers
+function isHttpUrl(url) {
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/* ---------- Per-row version override ---------- */
+async function selectRowVersion(projectId, versionId) {
+  try {
+    if (versionId === LOAD_ALL_VERSIONS) {
+      setPhase("Loading versions…");
+      await currentModpack.loadAllVersions(projectId);
+      resultsTable.render(currentModpack.rows);
+      setPhase("Done");
+      return;
+    }
+    setPhase("Applying version override…");
+    const added = await currentModpack.selectVersion(projectId, versionId);
+    resultsTable.render(currentModpack.rows);
+    resultsTable.updateSummary(currentModpack.rows, currentModpack.targetMc);
+    if (currentModpack.matrix) matrixView.render(currentModpack);
+    outRaw.textContent = JSON.stringify(currentModpack.rows, null, 2);
+    setPhase("Done", added.length ? `Added ${added.length} dependency row(s) for the selected version.` : "");
+  } catch (e) {
+    console.error(e);
+    setPhase("Error", e.message || String(e));
+    resultsTable.render(currentModpack.rows);
+  }
+}
+
+/* ---------- Channel policy ---------- */
+async function applyPolicyChange(change) {
+  if (!currentModpack.hasData()) return;
+  try {
+    setPhase("Applying channel policy…");
+    const added = await change();
+    resultsTable.render(currentModpack.rows);
+    resultsTable.updateSummary(currentModpack.rows, currentModpack.targetMc);
+    if (currentModpack.matrix) matrixView.render(currentModpack);
+    outRaw.textContent = JSON.stringify(currentModpack.rows, null, 2);
+    setPhase("Done", added.length ? `Added ${added.length} dependency row(s) for the newly selected versions.` : "");
+    updateRowActions();
+  } catch (e) {
+    console.error(e);
+    setPhase("Error", e.message || String(e));
+  }
+}
+
+function setRowChannelPolicy(projectId, policy) {
+  return applyPolicyChange(() => currentModpack.setRowChannelPolicy(projectId, policy));
+}
+
+/* ---------- Per-row build disposition ---------- */
+function setRowDisposition(projectId, disposition) {
+  if (!currentModpack.setRowDisposition(projectId, disposition)) return;
+  resultsTable.render(currentModpack.rows);
+  resultsTable.updateSummary(currentModpack.rows, currentModpack.targetMc);
+  if (currentModpack.matrix) matrixView.render(currentModpack);
+}
+
+/* ---------- Per-row env ---------- */
+function setRowEnv(projectId, side, value) {
+  if (!currentModpack.setRowEnv(projectId, side, value)) return;
+  resultsTable.render(currentModpack.rows);
+  resultsTable.updateSummary(currentModpack.rows, currentModpack.targetMc);
+  updateRowActions();
+}
+
+modrinthEnvBtn.addEventListener("click", () => {
+  currentModpack.applySuggestedEnv();
+  resultsTable.render(currentModpack.rows);
+  resultsTable.updateSummary(currentModpack.rows, currentModpack.targetMc);
+  updateRowActions();
+});
+
+/* ---------- GitHub asset patterns ---------- */
+// Per-project regexes for the GitHub fallback, kept across sessions
+const GITHUB_ASSET_PATTERNS_KEY = `${missingItemsManager.STORAGE_PREFIX}github_asset_patterns`;
+try {
+  currentModpack.setGitHubAssetPatterns(JSON.parse(localStorage.getItem(GITHUB_ASSET_PATTERNS_KEY) || "{}"));
+} catch (e) {
+  console.warn("Failed to load GitHub asset patterns:", e);
+}
+
+async function setGitHubAssetPattern(projectId, pattern) {
   try {
-    setPhase("Fetching loader version…");
-    const res = await fetch(`https://meta.fabricmc.net/v2/versions/loader/${encodeURIComponent(targetMc)}`);
-    if (!res.ok) throw new Error(`fabric meta ${res.status}`);
-    const arr = await res.json();
-    const stable = Array.isArray(arr) ? arr.find(x => x?.loader?.stable) : null;
-    const pick = stable || (Array.isArray(arr) ? arr[0] : null);
-    const ver = pick?.loader?.version || null;
-    return ver;
+    setPhase("Checking GitHub releases…");
+    await currentModpack.setGitHubAssetPattern(projectId, pattern.trim());
+    localStorage.setItem(GITHUB_ASSET_PATTERNS_KEY, JSON.stringify(currentModpack.githubAssetPatterns));
+    resultsTable.render(currentModpack.rows);
+    resultsTable.updateSummary(currentModpack.rows, currentModpack.targetMc);
+    if (currentModpack.matrix) matrixView.render(currentModpack);
+    setPhase("Done");
+    updateRowActions();
   } catch (e) {
-    console.warn("Fabric Meta lookup failed:", e);
-    return null;
+    console.error(e);
+    setPhase("Error", e.message || String(e));
   }
 }
 
+/* ---------- Override files ---------- */
+function setOverrideFileKept(index, keep) {
+  currentModpack.setOverrideFileKept(index, keep);
+  const summary = $("overrides-summary");
+  if (summary) summary.innerHTML = resultsTable.renderOverrideSummary();
+}
+
+channelSelect.addEventListener("change", () => {
+  currentModpack.channelPolicy = channelSelect.value;
+  return applyPolicyChange(() => currentModpack.setChannelPolicy(channelSelect.value));
+});
+
+/* ---------- API cache ---------- */
+clearCacheBtn.addEventListener("click", async () => {
+  await apiCache.clear();
+  showNotification("Cleared cached Modrinth responses. The next check fetches everything fresh.");
+});
+
 /* ---------- MRPACK BUILDER (uses cached file metadata) ---------- */
 buildBtn.addEventListener("click", async () => {
-  await currentModpack.build();
+  if (!currentModpack.hasData()) { alert("Run a check first."); return; }
+
+  buildBtn.disabled = true;
+  dlLink.style.display = "none";
+  serverPackControls.style.display = "none";
+  serverDlLink.style.display = "none";
+  diffView.clear();
+  buildNote.textContent = "Building .mrpack…";
+  try {
+    const result = await currentModpack.build({
+      loaderVersionMode: loaderVersionModeSelect.value,
+      loaderVersion: loaderVersionSelect.value || null,
+      verifyMode: verifyModeSelect.value
+    });
+    if (!result) {
+      buildNote.textContent = `Build cancelled: resolve ${currentModpack.conflicts.length} incompatibility conflict(s) first.`;
+      return;
+    }
+
+    dlLink.href = URL.createObjectURL(result.data);
+    dlLink.download = result.fileName;
+    dlLink.textContent = `Download ${result.fileName}`;
+    dlLink.style.display = "inline";
+    serverPackControls.style.display = "inline";
+    diffView.render(result.diff);
+
+    // Warn about excluded rows (missing meta, e.g. a GitHub build that couldn't be fetched)
+    if (!result.skipped.length) {
+      buildNote.textContent = `Built from all available versions. ${result.note}`;
+    } else {
+      const names = result.skipped.map(r => r.name || r.slug || r.project_id).join(", ");
+      buildNote.innerHTML =
+        `Built pack excludes ${result.skipped.length} item(s) without downloadable metadata (e.g., a GitHub build that couldn't be fetched): ` +
+        `<span class="muted">${escapeHtml(names)}</span>. ${escapeHtml(result.note)}`;
+    }
+  } catch (e) {
+    console.error(e);
+    buildNote.textContent = `Build failed: ${e.message || e}`;
+    setPhase("Error", e.message || String(e));
+  } finally {
+    buildBtn.disabled = false;
+  }
 });
 
-function inferPathFromCategory(row) {
-  if (row.category === "resourcepack") return `resourcepacks/${(row.slug || "resourcepack")}.zip`;
-  if (row.category === "shaderpack")   return `shaderpacks/${(row.slug || "shaderpack")}.zip`;
-  if (row.category === "datapack")     return `datapacks/${(row.slug || "datapack")}.zip`;
-  return `mods/${(row.slug || "mod")}.jar`;
-}
+/* ---------- Server pack ---------- */
+serverPackBtn.addEventListener("click", async () => {
+  serverPackBtn.disabled = true;
+  serverDlLink.style.display = "none";
+  buildNote.textContent = "Exporting server pack…";
+  try {
+    const result = await currentModpack.buildServerPack({ downloadFiles: serverPackDownload.checked });
+    serverDlLink.href = URL.createObjectURL(result.data);
+    serverDlLink.download = result.fileName;
+    serverDlLink.textContent = `Download ${result.fileName}`;
+    serverDlLink.style.display = "inline";
+    buildNote.textContent = `Server pack for ${result.manifest.minecraft} (${LOADER_NAMES[result.manifest.loader]} ${result.manifest.loader_version}): ${result.note}`;
+  } catch (e) {
+    console.error(e);
+    buildNote.textContent = `Server pack failed: ${e.message || e}`;
+    setPhase("Error", e.message || String(e));
+  } finally {
+    serverPackBtn.disabled = false;
+  }
+});
 
-function slugify(s) {
-  return String(s).toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-+|-+$/g, "")
-    .slice(0, 80);
+/* ---------- Loader version choice ---------- */
+async function populateLoaderVersions() {
+  if (loaderVersionModeSelect.value !== "specific") {
+    loaderVersionSelect.style.display = "none";
+    return;
+  }
+  loaderVersionSelect.style.display = "inline-block";
+  loaderVersionSelect.disabled = true;
+  loaderVersionSelect.innerHTML = `<option value="">Loading…</option>`;
+
+  const info = await getLoaderVersions(currentModpack.targetMc, currentModpack.selectedLoader);
+  if (!info?.versions?.length) {
+    loaderVersionSelect.innerHTML = `<option value="">No versions found</option>`;
+    return;
+  }
+  loaderVersionSelect.innerHTML = info.versions.map(v => {
+    const tags = [v === info.recommended && "recommended", v === info.latest && "latest"].filter(Boolean);
+    const label = tags.length ? `${v} (${tags.join(", ")})` : v;
+    return `<option value="${escapeHtml(v)}"${v === info.recommended ? " selected" : ""}>${escapeHtml(label)}</option>`;
+  }).join("");
+  loaderVersionSelect.disabled = false;
 }
 
+loaderVersionModeSelect.addEventListener("change", populateLoaderVersions);
+
 /* ---------- MISSING ITEMS UI FUNCTIONS ---------- */
 
 // Auto-check missing items when page loads
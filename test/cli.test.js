@@ -0,0 +1,106 @@
+/*
+ * The CLI as CI would run it: a child process pointed at the mock server with --api-base.
+ */
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { execFile } = require("node:child_process");
+const { makePack, readPack, startMockApi } = require("./helpers.js");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+
+let server;
+let dir;
+let packPath;
+
+before(async () => {
+  server = await startMockApi();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "mrpack-cli-"));
+  packPath = path.join(dir, "pack.mrpack");
+  fs.writeFileSync(packPath, await makePack("fabric-1.20.1"));
+});
+after(async () => {
+  await server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Run the CLI; resolves with { code, stdout, stderr } whatever the exit code
+function cli(...args) {
+  const apiBases = Object.entries(server.bases).flatMap(([name, url]) => ["--api-base", `${name}=${url}`]);
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args, ...apiBases], { timeout: 60000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test("check prints the results table and exits 1 when projects are missing", async () => {
+  const { code, stdout } = await cli("check", packPath, "--mc", "1.21.1");
+  assert.equal(code, 1);
+  assert.match(stdout, /^Name\s+Current\s+Status\s+Target/);
+  assert.match(stdout, /Old Mod\s+2\.0\.0\s+unavailable/);
+  assert.match(stdout, /Cloth Config API \(dependency\)/);
+  assert.match(stdout, /Sodium .* required\/required \(Modrinth: required\/unsupported\)/);
+  assert.match(stdout, /1 item\(s\) have an env that differs from Modrinth's client\/server support \(pass --modrinth-env/);
+});
+
+test("check --format json prints the rows and summary", async () => {
+  const { code, stdout } = await cli("check", packPath, "--mc", "1.21.1", "--format", "json");
+  assert.equal(code, 1);
+  const report = JSON.parse(stdout);
+  assert.equal(report.loader, "fabric", "defaults to the pack's loader");
+  assert.equal(report.summary.total, report.rows.length);
+  assert.equal(report.rows.find(r => r.name === "Sodium").target_version, "mc1.21.1-0.6.0");
+});
+
+test("check --github-asset matches a project's GitHub release assets by regex", async () => {
+  const { stdout } = await cli("check", packPath, "--mc", "1.21.1", "--format", "json", "--github-asset", "old-mod=-fabric-mc1211\\.jar$");
+  const oldMod = JSON.parse(stdout).rows.find(r => r.name === "Old Mod");
+  assert.equal(oldMod.source, "github-fallback");
+  assert.equal(oldMod.github_repo, "example/old-mod");
+  assert.equal(oldMod.target_version, "v2.1.0");
+});
+
+test("build writes the pack to --output", async () => {
+  const output = path.join(dir, "out.mrpack");
+  const { stdout } = await cli("build", packPath, "--mc", "1.21.1", "-o", output, "--loader-version", "latest",
+    "--exclude-override", "client-overrides/");
+  assert.match(stdout, /Wrote .*out\.mrpack/);
+  assert.match(stdout, /client-overrides\/ 2 file\(s\), \d+ B \(2 excluded\)/);
+  const { zip, index } = await readPack(fs.readFileSync(output));
+  assert.equal(index.dependencies["fabric-loader"], "0.16.10");
+  assert.ok(zip.file("server-overrides/server.properties"));
+  assert.ok(!Object.keys(zip.files).some(name => name.startsWith("client-overrides/")));
+});
+
+test("build --server-pack writes a server zip next to the pack", async () => {
+  const serverPack = path.join(dir, "server.zip");
+  const { code, stdout } = await cli("build", packPath, "--mc", "1.21.1", "-o", path.join(dir, "out2.mrpack"),
+    "--server-pack", serverPack, "--list-server-files");
+  assert.equal(code, 1);
+  assert.match(stdout, /Wrote server pack .*server\.zip\. 0 file\(s\) bundled, 8 fetched by install\.sh, 1 client-only/);
+  assert.equal(fs.readFileSync(serverPack).subarray(0, 2).toString(), "PK");
+});
+
+test("bad arguments exit 3", async () => {
+  const { code, stderr } = await cli("check", packPath);
+  assert.equal(code, 3);
+  assert.match(stderr, /--mc is required/);
+  const badPattern = await cli("check", packPath, "--mc", "1.21.1", "--github-asset", "old-mod=(unclosed");
+  assert.equal(badPattern.code, 3);
+  assert.match(badPattern.stderr, /Invalid asset pattern/);
+  for (const flag of ["--verify", "--embed", "--list-server-files"]) {
+    const buildOnly = await cli("check", packPath, "--mc", "1.21.1", flag);
+    assert.equal(buildOnly.code, 3, flag);
+    assert.match(buildOnly.stderr, new RegExp(`${flag} needs the build command`));
+  }
+});
+
+test("a missing pack file exits 7 with a one-line error", async () => {
+  const missing = path.join(path.dirname(packPath), "no-such-pack.mrpack");
+  const { code, stderr } = await cli("check", missing, "--mc", "1.21.1");
+  assert.equal(code, 7);
+  assert.equal(stderr.trim(), `${missing}: can't read the pack (ENOENT)`);
+});
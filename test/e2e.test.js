@@ -0,0 +1,503 @@
+/*
+ * End-to-end: Modpack.analyze and Modpack.build against the mock API server, offline.
+ */
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ROW_STATUS, ROW_DISPOSITION, BUILD_VERIFY_MODES, RequestFailedError, requestScheduler } = require("../core.js");
+const { api, makePack, readPack, startMockApi, newModpack, rowFor } = require("./helpers.js");
+
+let server;
+before(async () => { server = await startMockApi(); });
+after(() => server.close());
+beforeEach(() => server.reset());
+
+test("analyze reports a row per project with its target version", async () => {
+  const modpack = newModpack();
+  const rows = await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+
+  assert.equal(modpack.name, "Fixture Pack");
+  assert.equal(modpack.sourceLoader, "fabric");
+  assert.equal(rowFor(rows, "fabric-api").target_version_number, "0.116.0+1.21.1");
+  assert.equal(rowFor(rows, "sodium").status, ROW_STATUS.AVAILABLE);
+  assert.equal(rowFor(rows, "old-mod").status, ROW_STATUS.UNAVAILABLE);
+  assert.equal(rowFor(rows, "faithful-32x").category, "resourcepack");
+  assert.equal(rowFor(rows, "faithful-32x").target_version_number, "1.21.1-r1");
+  assert.equal(rows.find(r => r.project_id === api.PROJECT_IDS.deleted).status, ROW_STATUS.PROJECT_DELETED);
+  assert.deepEqual(modpack.externalFiles.map(e => e.path), ["mods/private-tweaks-1.0.jar"]);
+});
+
+test("releases win over newer betas, and betas fill in where they're all there is", async () => {
+  const modpack = newModpack();
+  const rows = await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  assert.equal(rowFor(rows, "lithium").target_version_number, "mc1.21.1-0.14.3");
+  assert.equal(rowFor(rows, "beta-mod").target_version_number, "4.0.0-beta.2");
+
+  const releaseOnly = newModpack();
+  const strict = await releaseOnly.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "release");
+  assert.equal(rowFor(strict, "beta-mod").target_available, false);
+  assert.equal(rowFor(strict, "beta-mod").excluded_by_policy, true);
+});
+
+test("new required dependencies are added as rows", async () => {
+  const rows = await newModpack().analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  const cloth = rowFor(rows, "cloth-config");
+  assert.ok(cloth, "Cloth Config row added");
+  assert.equal(cloth.added_as_dependency, true);
+  assert.deepEqual(cloth.required_by, ["Sodium"]);
+  assert.equal(cloth.target_version_number, "15.0.140+fabric");
+});
+
+test("Carpet falls back to its GitHub release", async () => {
+  const rows = await newModpack().analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  const carpet = rowFor(rows, "fabric-carpet");
+  assert.equal(carpet.source, "github-fallback");
+  assert.equal(carpet.target_version_number, "1.4.147");
+  assert.equal(carpet.github_repo, "gnembon/fabric-carpet", "from the project's source_url");
+  assert.equal(carpet.resolved_loader, "fabric");
+});
+
+test("a failed GitHub lookup is a failed check, not a missing mod", async () => {
+  server.failNext("/github/repos/gnembon/fabric-carpet/releases", 503, requestScheduler.maxRetries + 1);
+  const modpack = newModpack();
+  const rows = await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  const carpet = rowFor(rows, "fabric-carpet");
+  assert.equal(carpet.status, ROW_STATUS.ERROR);
+  assert.match(carpet.check_error, /^GitHub: /);
+  assert.ok(!modpack.getMissingItems().includes(carpet));
+
+  await modpack.retryFailedRows();
+  assert.equal(rowFor(modpack.rows, "fabric-carpet").source, "github-fallback");
+});
+
+test("a failed project metadata lookup fails the rows' checks, and the retry recovers them", async () => {
+  server.failNext("/modrinth/v2/projects", 503, requestScheduler.maxRetries + 1);
+  const modpack = newModpack();
+  const rows = await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  const carpet = rows.find(r => r.project_id === api.PROJECT_IDS.carpet);
+  assert.equal(carpet.status, ROW_STATUS.ERROR);
+  assert.match(carpet.check_error, /^Project metadata: /);
+  assert.deepEqual(modpack.getMissingItems(), [], "nothing passes for unavailable");
+
+  assert.deepEqual(await modpack.retryFailedRows(), []);
+  assert.equal(carpet.slug, "fabric-carpet");
+  assert.equal(carpet.source, "github-fallback", "the source_url is known now");
+  assert.equal(carpet.name, "Carpet");
+  assert.deepEqual(carpet.env_suggested, { client: "required", server: "required" });
+});
+
+test("any project with a GitHub source_url falls back to its releases, with a per-project asset pattern", async () => {
+  const modpack = newModpack();
+  const rows = await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  const oldMod = rowFor(rows, "old-mod");
+  assert.equal(oldMod.github_repo, "example/old-mod");
+  assert.equal(oldMod.status, ROW_STATUS.UNAVAILABLE, "no asset name has 1.21.1 in it");
+
+  await assert.rejects(modpack.setGitHubAssetPattern(oldMod.project_id, "fabric-(mc"), /Invalid asset pattern/);
+  await modpack.setGitHubAssetPattern(oldMod.project_id, "-fabric-mc1211\\.jar$");
+  assert.equal(oldMod.source, "github-fallback");
+  assert.equal(oldMod.target_version_number, "v2.1.0");
+  assert.match(oldMod.download_url, /oldmod-2\.1\.0-fabric-mc1211\.jar$/);
+  assert.equal(oldMod.fallback.release_url, "https://github.com/example/old-mod/releases/tag/v2.1.0");
+
+  const { index } = await readPack((await modpack.build({ zipType: "nodebuffer" })).data);
+  assert.deepEqual(index.files.find(f => f.path === "mods/oldm1201.jar").downloads,
+    ["https://github.com/example/old-mod/releases/download/v2.1.0/oldmod-2.1.0-fabric-mc1211.jar"]);
+
+  await modpack.setGitHubAssetPattern(oldMod.project_id, "");
+  assert.equal(oldMod.status, ROW_STATUS.UNAVAILABLE);
+
+  // Patterns set up front apply to the check, by slug as well as by project ID
+  const again = newModpack();
+  again.setGitHubAssetPatterns({ "old-mod": "oldmod-.*-fabric-mc1211\\.jar" });
+  const rechecked = await again.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  assert.equal(rowFor(rechecked, "old-mod").source, "github-fallback");
+
+  // Quilt accepts Fabric builds, but a release's Quilt build comes first
+  const quilt = newModpack();
+  quilt.setGitHubAssetPatterns({ "old-mod": "-mc1211\\.jar$" });
+  const quiltRows = await quilt.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "quilt", "any");
+  assert.match(rowFor(quiltRows, "old-mod").download_url, /oldmod-2\.1\.0-quilt-mc1211\.jar$/);
+  assert.equal(rowFor(quiltRows, "old-mod").resolved_loader, "quilt");
+});
+
+test("GitHub fallback builds are hashed locally and indexed with their GitHub URL", async () => {
+  const { createHash } = require("node:crypto");
+  const modpack = newModpack();
+  await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  const result = await modpack.build({ zipType: "nodebuffer" });
+  const { index } = await readPack(result.data);
+
+  const bytes = Buffer.from(api.static["/github/repos/gnembon/fabric-carpet/releases/assets/1471211"]);
+  assert.deepEqual(index.files.find(f => f.path === "mods/crpt1201.jar"), {
+    path: "mods/crpt1201.jar",
+    hashes: { sha1: createHash("sha1").update(bytes).digest("hex"), sha512: createHash("sha512").update(bytes).digest("hex") },
+    env: { client: "required", server: "required" },
+    downloads: ["https://github.com/gnembon/fabric-carpet/releases/download/1.4.147/fabric-carpet-1.21.1-1.4.147+v240613.jar"],
+    fileSize: bytes.length
+  });
+  assert.match(result.note, /Included 1 GitHub build\(s\), hashed locally\./);
+  assert.deepEqual(result.disallowed, ["mods/private-tweaks-1.0.jar"]);
+  assert.match(result.note, /1 file\(s\) download from hosts the mrpack format doesn't allow \(example\.com\)/);
+
+  // An asset that can't be downloaded leaves the row out, as before
+  const again = newModpack();
+  await again.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  server.failNext("/github/repos/gnembon/fabric-carpet/releases/assets/", 404);
+  const failed = await again.build({ zipType: "nodebuffer" });
+  assert.deepEqual(failed.skipped.map(r => r.slug), ["fabric-carpet"]);
+  assert.match(failed.note, /Included 0 GitHub build\(s\), hashed locally; 1 couldn't be fetched/);
+});
+
+test("projects settled by the bulk lookup skip the per-project query", async () => {
+  await newModpack().analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  const perProject = server.requests.filter(r => r.path.endsWith("/version") && r.path.includes("/project/"));
+  assert.ok(server.requests.some(r => r.path.endsWith("/version_files/update")));
+  assert.ok(!perProject.some(r => r.path.includes(api.PROJECT_IDS.fabricApi)), "Fabric API came from the bulk lookup");
+  assert.ok(perProject.some(r => r.path.includes(api.PROJECT_IDS.lithium)), "Lithium's newest build is a beta, so it's queried");
+});
+
+test("a failed bulk lookup names its endpoint and status, and the per-project queries take over", async t => {
+  const warn = t.mock.method(console, "warn", () => {});
+  server.failNext("/modrinth/v2/version_files/update", 400);
+  const rows = await newModpack().analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  assert.equal(rowFor(rows, "fabric-api").status, ROW_STATUS.AVAILABLE);
+  const messages = warn.mock.calls.map(c => c.arguments.join(" "));
+  assert.ok(messages.some(m => /Bulk lookup .* failed.*HTTP 400 \(http:\/\/.*\/version_files\/update\)/.test(m)), messages.join("\n"));
+});
+
+test("a rate-limited host waits without holding up requests to other hosts", async () => {
+  // Both hosts end up at the mock server's offline 404; the scheduler only sees their names
+  const github = "https://api.github.com/repos/example/old-mod/releases";
+  try {
+    requestScheduler.hosts.set("api.github.com", { remaining: 0, resetAt: Date.now() + 1500 });
+    const limited = Array.from({ length: requestScheduler.maxConcurrency + 1 }, () => requestScheduler.fetch(github));
+    const started = Date.now();
+    assert.equal((await requestScheduler.fetch("https://api.modrinth.com/v2/tag/game_version")).status, 404);
+    assert.ok(Date.now() - started < 1000, "not queued behind the waiting GitHub requests");
+    assert.equal(requestScheduler.active, 0, "waiting requests hold no slot");
+    await Promise.all(limited);
+
+    // GitHub's 403 once the allowance is used up; a window that long fails instead of blocking
+    const resetAt = String(Math.floor(Date.now() / 1000) + 3600);
+    server.failNext("/offline/", 403, 1, { "X-RateLimit-Remaining": "0", "X-RateLimit-Reset": resetAt });
+    await assert.rejects(requestScheduler.fetch(github), e => e instanceof RequestFailedError && /rate-limited for another/.test(e.message));
+  } finally {
+    requestScheduler.hosts.clear();
+  }
+});
+
+test("a failed check is reported as such instead of as unavailable", async () => {
+  // Fail every attempt of the first check; the retry goes through
+  server.failNext(`/modrinth/v2/project/${api.PROJECT_IDS.oldMod}/version`, 503, requestScheduler.maxRetries + 1);
+  const modpack = newModpack();
+  const rows = await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  assert.equal(rowFor(rows, "old-mod").status, ROW_STATUS.ERROR);
+  assert.equal(modpack.getFailedItems().length, 1);
+  assert.deepEqual(modpack.getSummary(), { total: 10, available: 8, missing: 1, excludedByPolicy: 0, failed: 1 },
+    "the failed row isn't counted as missing as well; the deleted project is");
+
+  const stillFailed = await modpack.retryFailedRows();
+  assert.deepEqual(stillFailed, []);
+  assert.equal(rowFor(modpack.rows, "old-mod").status, ROW_STATUS.UNAVAILABLE);
+});
+
+test("matrix totals count rows the channel policy excludes the way the summary does", async () => {
+  const modpack = newModpack();
+  await modpack.analyzeMatrix(new Blob([await makePack("fabric-1.20.1")]), ["1.21.1", "1.20.1"], "fabric", "any");
+  await modpack.setChannelPolicy("release");
+  const [latest] = modpack.getMatrixTotals();
+  assert.equal(latest.excludedByPolicy, 1, "Beta Mod only has a beta for 1.21.1");
+  assert.deepEqual(latest, { mc: "1.21.1", ...modpack.getSummary() });
+});
+
+test("build writes the target versions, loader, external files and overrides", async () => {
+  const modpack = newModpack();
+  await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  const result = await modpack.build({ zipType: "nodebuffer" });
+  const { zip, index } = await readPack(result.data);
+
+  assert.equal(result.fileName, "fixture-pack-for-1-21-1.mrpack");
+  assert.equal(index.name, "Fixture Pack (for 1.21.1)");
+  assert.deepEqual(index.dependencies, { minecraft: "1.21.1", "fabric-loader": "0.16.9" });
+
+  const sodium = api.versions.find(v => v.id === "sodi1211").files[0];
+  const sodiumEntry = index.files.find(f => f.hashes.sha1 === sodium.hashes.sha1);
+  assert.equal(sodiumEntry.path, "mods/sodi1201.jar", "keeps the original path");
+  assert.deepEqual(sodiumEntry.downloads, [sodium.url]);
+  assert.equal(sodiumEntry.fileSize, sodium.size);
+
+  const paths = index.files.map(f => f.path).sort();
+  assert.deepEqual(paths, [
+    "mods/beta1201.jar",
+    "mods/clth1211.jar",
+    "mods/crpt1201.jar",
+    "mods/fapi1201.jar",
+    "mods/lith1201.jar",
+    "mods/modmenu-7.2.2.jar",
+    "mods/private-tweaks-1.0.jar",
+    "mods/sodi1201.jar",
+    "resourcepacks/Faithful-32x-1.20.1.zip"
+  ]);
+  assert.deepEqual(result.skipped, []);
+  assert.equal(await zip.file("overrides/options.txt").async("string"), "renderDistance:12\n");
+});
+
+test("loading another pack drops the previous pack's results", async () => {
+  const modpack = newModpack();
+  const pack = new Blob([await makePack("fabric-1.20.1")]);
+  await modpack.analyze(pack, "1.21.1", "fabric", "any");
+  await modpack.load(pack);
+  assert.ok(modpack.hasData(), "the same pack keeps its results");
+
+  await modpack.load(new Blob([await makePack("fabric-1.20.1-multifile")]));
+  assert.equal(modpack.rows.length, 0);
+  await assert.rejects(modpack.build({ zipType: "nodebuffer" }), /Run a check first/);
+});
+
+test("build with loader version modes", async () => {
+  const modpack = newModpack();
+  await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+
+  const latest = await readPack((await modpack.build({ loaderVersionMode: "latest", zipType: "nodebuffer" })).data);
+  assert.equal(latest.index.dependencies["fabric-loader"], "0.16.10");
+  const specific = await readPack((await modpack.build({ loaderVersionMode: "specific", loaderVersion: "0.16.5", zipType: "nodebuffer" })).data);
+  assert.equal(specific.index.dependencies["fabric-loader"], "0.16.5");
+});
+
+test("the diff report lists what changed", async () => {
+  const modpack = newModpack();
+  await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  const { diff } = await modpack.build({ zipType: "nodebuffer" });
+
+  assert.deepEqual(diff.added.map(e => e.name), ["Cloth Config API"]);
+  assert.equal(diff.removed.length, 2, "Old Mod and the deleted project");
+  assert.ok(diff.removed.some(e => e.name === "Old Mod" && e.path === "mods/oldm1201.jar"));
+  assert.ok(diff.upgraded.some(e => e.name === "Sodium" && e.from === "mc1.20.1-0.5.11" && e.to === "mc1.21.1-0.6.0"));
+});
+
+test("rows can be kept at their current version or removed", async () => {
+  const modpack = newModpack();
+  const rows = await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  const oldMod = rowFor(rows, "old-mod");
+  assert.equal(modpack.getDisposition(oldMod), ROW_DISPOSITION.REMOVE, "no target: removed by default");
+  assert.equal(modpack.setRowDisposition(oldMod.project_id, ROW_DISPOSITION.UPDATE), false, "nothing to update to");
+  assert.equal(modpack.setRowDisposition(rowFor(rows, "cloth-config").project_id, ROW_DISPOSITION.KEEP), false, "dependency rows have no current file");
+
+  assert.ok(modpack.setRowDisposition(oldMod.project_id, ROW_DISPOSITION.KEEP));
+  assert.ok(modpack.setRowDisposition(rowFor(rows, "lithium").project_id, ROW_DISPOSITION.REMOVE));
+  const result = await modpack.build({ zipType: "nodebuffer" });
+  const { index } = await readPack(result.data);
+
+  const original = (await readPack(await makePack("fabric-1.20.1"))).index.files.find(f => f.path === "mods/oldm1201.jar");
+  assert.deepEqual(index.files.find(f => f.path === "mods/oldm1201.jar"), original, "original entry copied as-is");
+  assert.ok(!index.files.some(f => f.path === "mods/lith1201.jar"));
+
+  assert.deepEqual(result.kept.map(r => r.name), ["Old Mod"]);
+  assert.match(result.note, /Kept 1 item\(s\) at their current version \(may not work on 1\.21\.1\): Old Mod/);
+  assert.match(result.note, /Removed 1 item\(s\) by choice: Lithium/);
+  assert.deepEqual(result.diff.kept.map(e => e.name), ["Old Mod"]);
+  assert.equal(result.diff.removed.find(e => e.name === "Lithium").forced, false);
+  assert.equal(result.diff.removed.find(e => e.path === "mods/gone1201.jar").forced, true, "deleted project: nothing to update to");
+});
+
+test("every file of a project is carried over to its counterpart in the target version", async () => {
+  const modpack = newModpack();
+  const rows = await modpack.analyze(new Blob([await makePack("fabric-1.20.1-multifile")]), "1.21.1", "fabric", "any");
+  assert.equal(rows.filter(r => r.slug === "dynamic-foliage").length, 1, "one row per project");
+  const result = await modpack.build({ zipType: "nodebuffer" });
+  const { index } = await readPack(result.data);
+
+  const [jar, resources] = api.versions.find(v => v.id === "dynf1211").files;
+  const sha1ByPath = Object.fromEntries(index.files.map(f => [f.path, f.hashes.sha1]));
+  assert.deepEqual(sha1ByPath, {
+    "mods/fapi1201.jar": api.versions.find(v => v.id === "fapi1211").files[0].hashes.sha1,
+    "mods/dynf1201.jar": jar.hashes.sha1,
+    "resourcepacks/dynamic-foliage-resources.zip": resources.hashes.sha1,
+    "config/dynamic-foliage/builtin.zip": resources.hashes.sha1
+  }, "the sources jar of the new version is not pulled in, nor is the target jar listed twice");
+  assert.match(result.note, /Dropped 2 file\(s\) with no counterpart in the new version: mods\/fapi1200\.jar, mods\/dynf1201-dev\.jar/);
+
+  assert.equal(result.diff.upgraded.filter(e => e.name === "Dynamic Foliage").length, 3);
+  assert.deepEqual(result.diff.removed.map(e => e.path).sort(), ["mods/dynf1201-dev.jar", "mods/fapi1200.jar"]);
+  assert.deepEqual(result.diff.removed.map(e => [e.forced, e.unmatched]), [[false, true], [false, true]], "both projects have a target version");
+});
+
+test("a jar both in the index and in the overrides is replaced in both places", async () => {
+  const { zip: packZip, index } = await readPack(await makePack("fabric-1.20.1"));
+  const [original] = api.versions.find(v => v.id === "modm1201").files;
+  const indexed = { path: "mods/modmenu-7.2.2.jar", hashes: { ...original.hashes }, env: { client: "required", server: "required" },
+    downloads: [original.url], fileSize: original.size };
+  packZip.file("modrinth.index.json", JSON.stringify({ ...index, files: [...index.files, indexed] }));
+  const modpack = newModpack();
+  await modpack.analyze(new Blob([await packZip.generateAsync({ type: "nodebuffer" })]), "1.21.1", "fabric", "any");
+
+  const result = await modpack.build({ zipType: "nodebuffer" });
+  const built = await readPack(result.data);
+  const target = api.versions.find(v => v.id === "modm1211").files[0];
+  assert.deepEqual(built.index.files.filter(f => f.path === "mods/modmenu-7.2.2.jar").map(f => f.hashes.sha1), [target.hashes.sha1]);
+  assert.equal(built.zip.file("overrides/mods/modmenu-7.2.2.jar"), null, "stale jar gone");
+  assert.doesNotMatch(result.note, /Kept \d+ embedded jar/);
+});
+
+test("all three override folders are carried through, minus excluded files", async () => {
+  const modpack = newModpack();
+  const pack = new Blob([await makePack("fabric-1.20.1")]);
+  await modpack.load(pack);
+  assert.deepEqual(modpack.getOverrideSummary().map(f => [f.folder, f.count]), [
+    ["overrides/", 4], ["server-overrides/", 1], ["client-overrides/", 2]
+  ]);
+
+  const shader = modpack.overrideFiles.findIndex(e => e.path === "client-overrides/shaderpacks/ComplementaryReimagined.txt");
+  modpack.setOverrideFileKept(shader, false);
+  await modpack.analyze(pack, "1.21.1", "fabric", "any");
+  const clientOverrides = modpack.getOverrideSummary().find(f => f.folder === "client-overrides/");
+  assert.equal(clientOverrides.keptCount, 1, "exclusions survive re-reading the same pack");
+  assert.equal(clientOverrides.keptSize, "guiScale:2\n".length);
+
+  const result = await modpack.build({ zipType: "nodebuffer" });
+  const { zip } = await readPack(result.data);
+  assert.equal(await zip.file("server-overrides/server.properties").async("string"), "view-distance=10\n");
+  assert.equal(await zip.file("client-overrides/options.txt").async("string"), "guiScale:2\n");
+  assert.equal(zip.file("client-overrides/shaderpacks/ComplementaryReimagined.txt"), null);
+  assert.match(result.note, /Left out 1 override file\(s\)/);
+});
+
+test("jars embedded in the overrides are resolved and replaced by indexed downloads", async () => {
+  const modpack = newModpack();
+  const rows = await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  const modMenu = rowFor(rows, "modmenu");
+  assert.deepEqual(modMenu.embedded_paths, ["overrides/mods/modmenu-7.2.2.jar"]);
+  assert.equal(modMenu.current_version_number, "7.2.2");
+  assert.equal(modMenu.target_version_number, "11.0.3");
+
+  const result = await modpack.build({ zipType: "nodebuffer" });
+  const { zip, index } = await readPack(result.data);
+  const target = api.versions.find(v => v.id === "modm1211").files[0];
+  const entry = index.files.find(f => f.path === "mods/modmenu-7.2.2.jar");
+  assert.equal(entry.hashes.sha1, target.hashes.sha1);
+  assert.deepEqual(entry.env, { client: "required", server: "required" });
+  assert.equal(zip.file("overrides/mods/modmenu-7.2.2.jar"), null, "stale jar gone");
+  assert.equal(await zip.file("overrides/mods/homebrew-utils.jar").async("string"), "not on Modrinth\n");
+  assert.ok(result.diff.upgraded.some(e => e.name === "Mod Menu" && e.from === "7.2.2" && e.to === "11.0.3"));
+
+  // An update that writes no entry (here: no file metadata) leaves the jar in place, with a warning
+  const targetSha512 = modMenu.target_file_sha512;
+  modMenu.target_file_sha512 = null;
+  const unreplaced = await modpack.build({ zipType: "nodebuffer" });
+  assert.ok((await readPack(unreplaced.data)).zip.file("overrides/mods/modmenu-7.2.2.jar"));
+  assert.match(unreplaced.note, /Kept 1 embedded jar\(s\) at their current version, no replacement could be written: overrides\/mods\/modmenu-7\.2\.2\.jar/);
+  modMenu.target_file_sha512 = targetSha512;
+
+  // Kept rows keep the jar where it was
+  modpack.setRowDisposition(modMenu.project_id, ROW_DISPOSITION.KEEP);
+  const kept = await readPack((await modpack.build({ zipType: "nodebuffer" })).data);
+  assert.ok(kept.zip.file("overrides/mods/modmenu-7.2.2.jar"));
+  assert.ok(!kept.index.files.some(f => f.path === "mods/modmenu-7.2.2.jar"));
+});
+
+test("env comes from the pack, Modrinth's side support fills in and flags disagreements", async () => {
+  const modpack = newModpack();
+  const rows = await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  const sodium = rowFor(rows, "sodium");
+  assert.deepEqual(modpack.getEnvMismatches().map(r => r.slug), ["sodium"]);
+  assert.deepEqual(sodium.env_suggested, { client: "required", server: "unsupported" });
+  assert.deepEqual(modpack.getEnv(rowFor(rows, "cloth-config")), { client: "required", server: "optional" }, "new rows use Modrinth's");
+
+  assert.ok(modpack.setRowEnv(rowFor(rows, "lithium").project_id, "client", "optional"));
+  assert.equal(modpack.setRowEnv(sodium.project_id, "server", "sometimes"), false);
+  let { index } = await readPack((await modpack.build({ zipType: "nodebuffer" })).data);
+  const envOf = path => index.files.find(f => f.path === path).env;
+  assert.deepEqual(envOf("mods/sodi1201.jar"), { client: "required", server: "required" }, "the pack's env is kept until changed");
+  assert.deepEqual(envOf("mods/lith1201.jar"), { client: "optional", server: "required" });
+  assert.deepEqual(envOf("mods/clth1211.jar"), { client: "required", server: "optional" });
+  assert.deepEqual(envOf("resourcepacks/Faithful-32x-1.20.1.zip"), { client: "required", server: "unsupported" });
+
+  modpack.applySuggestedEnv();
+  assert.deepEqual(modpack.getEnvMismatches(), []);
+  ({ index } = await readPack((await modpack.build({ zipType: "nodebuffer" })).data));
+  assert.deepEqual(envOf("mods/sodi1201.jar"), { client: "required", server: "unsupported" });
+});
+
+test("server pack: server-side files bundled, server overrides on top, loader install script", async () => {
+  const modpack = newModpack();
+  await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  await assert.rejects(modpack.buildServerPack(), /Build the pack first/);
+  modpack.applySuggestedEnv(); // Sodium is client-only
+  await modpack.build({ zipType: "nodebuffer" });
+
+  server.failNext(`/cdn/data/${api.PROJECT_IDS.lithium}/`, 404);
+  const result = await modpack.buildServerPack({ zipType: "nodebuffer" });
+  const zip = await require("../jszip-dist/jszip.min.js").loadAsync(result.data);
+
+  assert.equal(result.fileName, "fixture-pack-for-1-21-1-server.zip");
+  assert.deepEqual(result.clientOnly.sort(), ["mods/sodi1201.jar", "resourcepacks/Faithful-32x-1.20.1.zip"]);
+  assert.equal(await zip.file("mods/fapi1201.jar").async("string"), "fixture jar for fapi1211\n");
+  assert.equal(zip.file("mods/sodi1201.jar"), null);
+  assert.deepEqual(result.failed.map(f => f.path).sort(), ["mods/lith1201.jar", "mods/private-tweaks-1.0.jar"]);
+  assert.deepEqual(result.listed.sort(), ["mods/lith1201.jar", "mods/private-tweaks-1.0.jar"], "install.sh fetches what didn't download");
+
+  assert.equal(await zip.file("server.properties").async("string"), "view-distance=10\n");
+  assert.equal(await zip.file("options.txt").async("string"), "renderDistance:12\n");
+  assert.equal(Object.keys(zip.files).some(n => n.startsWith("overrides/") || n.startsWith("client-overrides/")), false);
+
+  const script = await zip.file("install.sh").async("string");
+  assert.match(script, /\/v2\/versions\/loader\/1\.21\.1\/0\.16\.9\/1\.0\.1\/server\/jar'/);
+  assert.match(script, /curl -fL -o 'mods\/lith1201\.jar' 'https:\/\/cdn\.modrinth\.com\/.*\/lith1211\.jar'\necho '[0-9a-f]{128}  mods\/lith1201\.jar' \| sha512sum -c -/);
+  assert.equal(zip.file("install.sh").unixPermissions & 0o777, 0o755);
+  const manifest = JSON.parse(await zip.file("server-manifest.json").async("string"));
+  assert.equal(manifest.loader_version, "0.16.9");
+  assert.equal(manifest.install.launch, "java -Xmx4G -jar fabric-server-launch.jar nogui");
+});
+
+test("server pack: install.sh keeps the pack's text out of the commands", async () => {
+  const { zip: packZip, index } = await readPack(await makePack("fabric-1.20.1"));
+  packZip.file("modrinth.index.json", JSON.stringify({ ...index, name: "Evil\ntouch /tmp/PWNED\r\necho '$(id)'" }));
+  const modpack = newModpack();
+  await modpack.analyze(new Blob([await packZip.generateAsync({ type: "nodebuffer" })]), "1.21.1", "fabric", "any");
+  await modpack.build({ zipType: "nodebuffer" });
+  const result = await modpack.buildServerPack({ downloadFiles: false, zipType: "nodebuffer" });
+  const script = await (await require("../jszip-dist/jszip.min.js").loadAsync(result.data)).file("install.sh").async("string");
+
+  assert.doesNotMatch(script, /^touch|^echo '\$\(id\)'/m, "no line of the script starts with the pack's text");
+  assert.match(script, /^# Evil touch \/tmp\/PWNED echo '\$\(id\)' \(for 1\.21\.1\): Minecraft 1\.21\.1, Fabric Loader 0\.16\.9$/m);
+  assert.match(script, /^echo 'Installing Fabric Loader 0\.16\.9 for Minecraft 1\.21\.1\.\.\.'$/m);
+});
+
+test("verified builds report dead URLs and mismatched hashes, and can embed the files", async () => {
+  const modpack = newModpack();
+  const rows = await modpack.analyze(new Blob([await makePack("fabric-1.20.1")]), "1.21.1", "fabric", "any");
+  // A stale cached hash, as if the file changed on the CDN after the check
+  rowFor(rows, "lithium").target_files[0].hashes.sha512 = "0".repeat(128);
+
+  const verified = await modpack.build({ verifyMode: BUILD_VERIFY_MODES.VERIFY, zipType: "nodebuffer" });
+  assert.equal(verified.verification.checked, verified.index.files.length);
+  assert.deepEqual(verified.verification.failed.map(f => [f.path, f.problem]).sort(), [
+    ["mods/lith1201.jar", "sha512 mismatch"],
+    ["mods/private-tweaks-1.0.jar", "HTTP 404"]
+  ]);
+  assert.match(verified.note, /2 of 9 download\(s\) failed verification/);
+
+  const embedded = await modpack.build({ verifyMode: BUILD_VERIFY_MODES.EMBED, zipType: "nodebuffer" });
+  const { zip, index } = await readPack(embedded.data);
+  assert.deepEqual(index.files.map(f => f.path).sort(), ["mods/lith1201.jar", "mods/private-tweaks-1.0.jar"], "failed files stay indexed");
+  assert.equal(await zip.file("overrides/mods/fapi1201.jar").async("string"), "fixture jar for fapi1211\n");
+  assert.ok(zip.file("client-overrides/resourcepacks/Faithful-32x-1.20.1.zip"), "client-only files go to client-overrides");
+  assert.equal(embedded.verification.embedded, 7);
+  assert.equal(embedded.diff.removed.length, 2, "bundled files aren't reported as removed");
+
+  await assert.rejects(modpack.build({ verifyMode: "sometimes" }), /Unknown verify mode/);
+});
+
+test("embedding leaves a file indexed rather than overwrite an override the pack ships at its path", async () => {
+  const { zip: packZip } = await readPack(await makePack("fabric-1.20.1"));
+  packZip.file("overrides/mods/fapi1201.jar", "the pack author's own build\n");
+  const modpack = newModpack();
+  await modpack.analyze(new Blob([await packZip.generateAsync({ type: "nodebuffer" })]), "1.21.1", "fabric", "any");
+
+  const result = await modpack.build({ verifyMode: BUILD_VERIFY_MODES.EMBED, zipType: "nodebuffer" });
+  const { zip, index } = await readPack(result.data);
+  assert.equal(await zip.file("overrides/mods/fapi1201.jar").async("string"), "the pack author's own build\n");
+  assert.ok(index.files.some(f => f.path === "mods/fapi1201.jar"), "still in the pack, as a download");
+  assert.match(result.note, /Left 1 file\(s\) indexed instead of bundling them over the pack's own overrides: overrides\/mods\/fapi1201\.jar/);
+  assert.equal(result.verification.embedded, 7);
+});
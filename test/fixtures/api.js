@@ -0,0 +1,197 @@
+/*
+ * Fixture data for the mock API server: a handful of Modrinth projects with versions for
+ * 1.20.1 and 1.21.1, loader meta, and the GitHub releases of the projects with a GitHub source_url.
+ *
+ * File contents are derived from the version id (see fileContent), so hashes and sizes
+ * are real and built packs can be checked against them.
+ */
+const crypto = require("node:crypto");
+
+const fileContent = versionId => Buffer.from(`fixture jar for ${versionId}\n`);
+// Contents of any file of a version; extra files get their own (and so their own hashes)
+const fileData = (versionId, filename, primary) => fileContent(primary ? versionId : `${versionId}/${filename}`);
+
+const hash = (algorithm, data) => crypto.createHash(algorithm).update(data).digest("hex");
+
+const file = (id, project_id, filename, primary, file_type = null) => {
+  const data = fileData(id, filename, primary);
+  return {
+    url: `https://cdn.modrinth.com/data/${project_id}/versions/${id}/${filename}`,
+    filename,
+    primary,
+    file_type,
+    size: data.length,
+    hashes: { sha1: hash("sha1", data), sha512: hash("sha512", data) }
+  };
+};
+
+/**
+ * A Modrinth version object with one primary file
+ * @param {Object} v - id, project_id, version_number, game_versions, and optional
+ *   version_type, loaders, date_published, dependencies, filename, and extraFiles
+ *   ({ filename, file_type } of non-primary files)
+ */
+function version({ id, project_id, version_number, game_versions, version_type = "release", loaders = ["fabric"],
+                   date_published, dependencies = [], filename = `${id}.jar`, extraFiles = [] }) {
+  return {
+    id,
+    project_id,
+    name: version_number,
+    version_number,
+    version_type,
+    game_versions,
+    loaders,
+    date_published,
+    dependencies,
+    files: [
+      file(id, project_id, filename, true),
+      ...extraFiles.map(f => file(id, project_id, f.filename, false, f.file_type))
+    ]
+  };
+}
+
+const PROJECT_IDS = {
+  fabricApi: "P7dR8mSH",
+  sodium: "AANobbMI",
+  lithium: "gvQqBUqZ",
+  clothConfig: "9s6osm5g",
+  carpet: "TQTTVgYE",
+  oldMod: "oLdM0d01",
+  betaMod: "bEtAm0d1",
+  faithful: "fAiThFuL",
+  foliage: "dYnFoL01", // ships a required resource pack next to the jar
+  modMenu: "mOdMeNu1", // embedded in the fixture pack's overrides instead of indexed
+  deleted: "gOnE0001" // versions resolve by hash, but the project itself is gone
+};
+
+const project = (id, slug, title, project_type = "mod", loaders = ["fabric"], client_side = "required", server_side = "required", source_url = null) =>
+  ({ id, slug, title, project_type, loaders, client_side, server_side, source_url });
+
+const projects = [
+  project(PROJECT_IDS.fabricApi, "fabric-api", "Fabric API"),
+  // Client-only, but the fixture pack lists it for servers too
+  project(PROJECT_IDS.sodium, "sodium", "Sodium", "mod", ["fabric"], "required", "unsupported"),
+  project(PROJECT_IDS.lithium, "lithium", "Lithium"),
+  project(PROJECT_IDS.clothConfig, "cloth-config", "Cloth Config API", "mod", ["fabric"], "required", "optional"),
+  project(PROJECT_IDS.carpet, "fabric-carpet", "Carpet", "mod", ["fabric"], "required", "required", "https://github.com/gnembon/fabric-carpet"),
+  // Publishes 1.21.1 builds on GitHub only, under names the default asset matching misses
+  project(PROJECT_IDS.oldMod, "old-mod", "Old Mod", "mod", ["fabric"], "required", "required", "https://github.com/example/old-mod.git"),
+  project(PROJECT_IDS.betaMod, "beta-mod", "Beta Mod"),
+  project(PROJECT_IDS.faithful, "faithful-32x", "Faithful 32x", "resourcepack", ["minecraft"], "required", "unsupported"),
+  project(PROJECT_IDS.foliage, "dynamic-foliage", "Dynamic Foliage"),
+  project(PROJECT_IDS.modMenu, "modmenu", "Mod Menu")
+];
+
+const required = project_id => ({ project_id, version_id: null, dependency_type: "required" });
+
+const versions = [
+  version({ id: "fapi1200", project_id: PROJECT_IDS.fabricApi, version_number: "0.83.0+1.20", game_versions: ["1.20"], date_published: "2023-06-10T00:00:00Z" }),
+  version({ id: "fapi1201", project_id: PROJECT_IDS.fabricApi, version_number: "0.92.2+1.20.1", game_versions: ["1.20.1"], date_published: "2024-05-01T00:00:00Z" }),
+  version({ id: "fapi1211", project_id: PROJECT_IDS.fabricApi, version_number: "0.116.0+1.21.1", game_versions: ["1.21.1"], date_published: "2025-01-10T00:00:00Z" }),
+
+  version({ id: "sodi1201", project_id: PROJECT_IDS.sodium, version_number: "mc1.20.1-0.5.11", game_versions: ["1.20.1"], date_published: "2024-07-01T00:00:00Z" }),
+  // The 1.21.1 build needs Cloth Config, which the 1.20.1 pack doesn't have
+  version({ id: "sodi1211", project_id: PROJECT_IDS.sodium, version_number: "mc1.21.1-0.6.0", game_versions: ["1.21.1"], date_published: "2024-12-01T00:00:00Z",
+            dependencies: [required(PROJECT_IDS.clothConfig), required(PROJECT_IDS.fabricApi)] }),
+
+  version({ id: "lith1201", project_id: PROJECT_IDS.lithium, version_number: "mc1.20.1-0.11.2", game_versions: ["1.20.1"], date_published: "2024-03-01T00:00:00Z" }),
+  version({ id: "lith1211", project_id: PROJECT_IDS.lithium, version_number: "mc1.21.1-0.14.3", game_versions: ["1.21.1"], date_published: "2024-11-01T00:00:00Z" }),
+  // Newer than the release, so the bulk lookup returns it and the per-project query has to decide
+  version({ id: "lith1211b", project_id: PROJECT_IDS.lithium, version_number: "mc1.21.1-0.15.0-beta.1", version_type: "beta", game_versions: ["1.21.1"], date_published: "2025-02-01T00:00:00Z" }),
+
+  version({ id: "clth1201", project_id: PROJECT_IDS.clothConfig, version_number: "11.1.136+fabric", game_versions: ["1.20.1"], date_published: "2024-01-01T00:00:00Z" }),
+  version({ id: "clth1211", project_id: PROJECT_IDS.clothConfig, version_number: "15.0.140+fabric", game_versions: ["1.21.1"], date_published: "2024-09-01T00:00:00Z" }),
+
+  // Carpet has no 1.21.1 build on Modrinth; GitHub does (see static below)
+  version({ id: "crpt1201", project_id: PROJECT_IDS.carpet, version_number: "1.4.112", game_versions: ["1.20.1"], date_published: "2023-09-01T00:00:00Z" }),
+
+  version({ id: "oldm1201", project_id: PROJECT_IDS.oldMod, version_number: "2.0.0", game_versions: ["1.20.1"], date_published: "2023-08-01T00:00:00Z" }),
+
+  version({ id: "beta1201", project_id: PROJECT_IDS.betaMod, version_number: "3.1.0", game_versions: ["1.20.1"], date_published: "2024-02-01T00:00:00Z" }),
+  version({ id: "beta1211", project_id: PROJECT_IDS.betaMod, version_number: "4.0.0-beta.2", version_type: "beta", game_versions: ["1.21.1"], date_published: "2024-12-15T00:00:00Z" }),
+
+  version({ id: "fait1201", project_id: PROJECT_IDS.faithful, version_number: "1.20.1-r1", game_versions: ["1.20.1"], loaders: ["minecraft"], date_published: "2023-07-01T00:00:00Z", filename: "Faithful-32x-1.20.1.zip" }),
+  version({ id: "fait1211", project_id: PROJECT_IDS.faithful, version_number: "1.21.1-r1", game_versions: ["1.21.1"], loaders: ["minecraft"], date_published: "2024-08-20T00:00:00Z", filename: "Faithful-32x-1.21.1.zip" }),
+
+  version({ id: "dynf1201", project_id: PROJECT_IDS.foliage, version_number: "2.3.0", game_versions: ["1.20.1"], date_published: "2024-04-01T00:00:00Z",
+            extraFiles: [{ filename: "dynamic-foliage-resources-1.20.1.zip", file_type: "required-resource-pack" }, { filename: "dynf1201-dev.jar" }] }),
+  version({ id: "dynf1211", project_id: PROJECT_IDS.foliage, version_number: "3.0.1", game_versions: ["1.21.1"], date_published: "2024-10-01T00:00:00Z",
+            extraFiles: [{ filename: "dynamic-foliage-resources-1.21.1.zip", file_type: "required-resource-pack" }, { filename: "dynf1211-sources.jar" }] }),
+
+  version({ id: "modm1201", project_id: PROJECT_IDS.modMenu, version_number: "7.2.2", game_versions: ["1.20.1"], date_published: "2023-09-20T00:00:00Z" }),
+  version({ id: "modm1211", project_id: PROJECT_IDS.modMenu, version_number: "11.0.3", game_versions: ["1.21.1"], date_published: "2024-10-15T00:00:00Z" }),
+
+  version({ id: "gone1201", project_id: PROJECT_IDS.deleted, version_number: "1.0.0", game_versions: ["1.20.1"], date_published: "2023-06-01T00:00:00Z" })
+];
+
+const mavenMetadata = list =>
+  `<?xml version="1.0" encoding="UTF-8"?>\n<metadata><versioning><versions>${list.map(v => `<version>${v}</version>`).join("")}</versions></versioning></metadata>\n`;
+
+module.exports = {
+  PROJECT_IDS,
+  fileContent,
+  fileData,
+  gameVersions: ["1.19.2", "1.20.1", "1.20.4", "1.21", "1.21.1", "1.21.4"],
+  projects,
+  versions,
+  // Served verbatim, keyed by path on the mock server (see PREFIXES in mock-server.js)
+  static: {
+    "/fabric-meta/v2/versions/loader/1.21.1": [
+      { loader: { version: "0.16.10", stable: false } },
+      { loader: { version: "0.16.9", stable: true } }
+    ],
+    "/fabric-meta/v2/versions/loader/1.20.1": [
+      { loader: { version: "0.16.9", stable: true } }
+    ],
+    "/fabric-meta/v2/versions/installer": [
+      { version: "1.1.0", stable: false },
+      { version: "1.0.1", stable: true }
+    ],
+    "/quilt-maven/org/quiltmc/quilt-installer/maven-metadata.xml": mavenMetadata(["0.9.1", "0.9.2"]),
+    "/quilt-meta/v3/versions/loader/1.21.1": [
+      { loader: { version: "0.27.1-beta.1" } },
+      { loader: { version: "0.26.4" } }
+    ],
+    "/forge-files/net/minecraftforge/forge/promotions_slim.json": {
+      promos: { "1.20.1-recommended": "47.3.0", "1.20.1-latest": "47.3.12" }
+    },
+    "/forge-maven/net/minecraftforge/forge/maven-metadata.xml": mavenMetadata(["1.20.1-47.3.0", "1.20.1-47.3.12"]),
+    "/neoforge-maven/net/neoforged/neoforge/maven-metadata.xml": mavenMetadata(["21.1.80", "21.1.90-beta"]),
+    "/neoforge-maven/net/neoforged/forge/maven-metadata.xml": mavenMetadata(["1.20.1-47.1.106"]),
+    "/github/repos/gnembon/fabric-carpet/releases": [
+      {
+        tag_name: "1.4.147",
+        draft: false,
+        prerelease: false,
+        published_at: "2024-06-13T00:00:00Z",
+        assets: [{ id: 1471211, name: "fabric-carpet-1.21.1-1.4.147+v240613.jar", browser_download_url: "https://github.com/gnembon/fabric-carpet/releases/download/1.4.147/fabric-carpet-1.21.1-1.4.147+v240613.jar" }]
+      },
+      {
+        tag_name: "1.4.112",
+        draft: false,
+        prerelease: false,
+        published_at: "2023-09-01T00:00:00Z",
+        assets: [{ id: 1121201, name: "fabric-carpet-1.20.1-1.4.112+v230608.jar", browser_download_url: "https://github.com/gnembon/fabric-carpet/releases/download/1.4.112/fabric-carpet-1.20.1-1.4.112+v230608.jar" }]
+      }
+    ],
+    "/github/repos/example/old-mod/releases": [
+      {
+        tag_name: "v2.1.0",
+        draft: false,
+        prerelease: false,
+        published_at: "2024-10-01T00:00:00Z",
+        html_url: "https://github.com/example/old-mod/releases/tag/v2.1.0",
+        assets: [
+          { id: 2101, name: "oldmod-2.1.0-forge-mc1211.jar", browser_download_url: "https://github.com/example/old-mod/releases/download/v2.1.0/oldmod-2.1.0-forge-mc1211.jar" },
+          { id: 2102, name: "oldmod-2.1.0-fabric-mc1211.jar", browser_download_url: "https://github.com/example/old-mod/releases/download/v2.1.0/oldmod-2.1.0-fabric-mc1211.jar" },
+          { id: 2104, name: "oldmod-2.1.0-quilt-mc1211.jar", browser_download_url: "https://github.com/example/old-mod/releases/download/v2.1.0/oldmod-2.1.0-quilt-mc1211.jar" },
+          { id: 2103, name: "oldmod-2.1.0-fabric-mc1211-sources.jar", browser_download_url: "https://github.com/example/old-mod/releases/download/v2.1.0/oldmod-2.1.0-fabric-mc1211-sources.jar" }
+        ]
+      }
+    ],
+    // asset downloads (Accept: application/octet-stream)
+    "/github/repos/example/old-mod/releases/assets/2102": "fixture jar for old-mod 2.1.0\n",
+    "/github/repos/gnembon/fabric-carpet/releases/assets/1471211": "fixture jar for fabric-carpet 1.4.147\n",
+    "/github/repos/gnembon/fabric-carpet/releases/assets/1121201": "fixture jar for fabric-carpet 1.4.112\n"
+  }
+};
@@ -0,0 +1,88 @@
+/*
+ * Shared test setup: fixture .mrpack files and a Modpack wired to the mock server.
+ */
+const fs = require("node:fs");
+const path = require("node:path");
+const JSZip = require("../jszip-dist/jszip.min.js");
+const { Modpack, setApiBases, requestScheduler } = require("../core.js");
+const { startMockServer, CDN_PREFIX, GITHUB_DOWNLOAD_PREFIX } = require("./mock-server.js");
+const api = require("./fixtures/api.js");
+
+// core.js logs [DEBUG] lines through console.log; keep them out of the test report unless asked for
+if (!process.env.DEBUG) console.log = () => {};
+
+/**
+ * Zip a pack fixture from fixtures/packs into .mrpack bytes. File entries that name a
+ * fixture version ({ version: id }) are expanded to that version's primary file, or to
+ * another of its files with { version: id, file: filename }.
+ * @param {string} name - Fixture name without extension
+ * @returns {Promise<Buffer>} - .mrpack contents
+ */
+async function makePack(name) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "packs", `${name}.json`), "utf8"));
+  const files = fixture.files.map(entry => {
+    if (!entry.version) return entry;
+    const { files } = api.versions.find(v => v.id === entry.version);
+    const file = entry.file ? files.find(f => f.filename === entry.file) : files[0];
+    return {
+      path: entry.path || `mods/${file.filename}`,
+      hashes: { sha1: file.hashes.sha1, sha512: file.hashes.sha512 },
+      env: entry.env || { client: "required", server: "required" },
+      downloads: [file.url],
+      fileSize: file.size
+    };
+  });
+
+  const zip = new JSZip();
+  zip.file("modrinth.index.json", JSON.stringify({ ...fixture.index, files }, null, 2));
+  for (const [filePath, content] of Object.entries(fixture.overrides || {})) {
+    zip.file(filePath, content);
+  }
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+/**
+ * Read a built .mrpack back
+ * @param {Buffer} data - .mrpack contents
+ * @returns {Promise<{zip: JSZip, index: Object}>}
+ */
+async function readPack(data) {
+  const zip = await JSZip.loadAsync(data);
+  return { zip, index: JSON.parse(await zip.file("modrinth.index.json").async("string")) };
+}
+
+/**
+ * Start the mock server and point core.js at it. Retries back off in milliseconds
+ * instead of seconds so injected failures don't slow the suite down. File downloads
+ * keep their real URLs (as in real packs), so while it runs fetch() sends cdn.modrinth.com
+ * and github.com to the mock server's stand-ins and any other host to a 404.
+ * @returns {Promise<Object>} - The mock server (see startMockServer)
+ */
+async function startMockApi() {
+  const server = await startMockServer(api);
+  setApiBases(server.bases);
+  requestScheduler.baseDelay = 1;
+
+  const realFetch = globalThis.fetch;
+  const route = url => url.startsWith(server.url) ? url
+    : /^https:\/\/cdn\.modrinth\.com\//.test(url) ? url.replace(/^https:\/\/[^/]+\//, `${server.url}${CDN_PREFIX}/`)
+    : /^https:\/\/github\.com\//.test(url) ? url.replace(/^https:\/\/[^/]+\//, `${server.url}${GITHUB_DOWNLOAD_PREFIX}/`)
+    : url.replace(/^https?:\/\/[^/]+\//, `${server.url}/offline/`); // nothing leaves the machine: 404
+  globalThis.fetch = (url, options) => realFetch(route(String(url)), options);
+  const close = server.close;
+  server.close = () => {
+    globalThis.fetch = realFetch;
+    return close();
+  };
+  return server;
+}
+
+// A Modpack that answers "no" to confirmations unless told otherwise
+function newModpack({ confirm = false } = {}) {
+  return new Modpack({ confirm: async () => confirm });
+}
+
+// Look a results row up by project slug
+const rowFor = (rows, slug) => rows.find(r => r.slug === slug);
+
+module.exports = { api, makePack, readPack, startMockApi, newModpack, rowFor };
@@ -0,0 +1,188 @@
+/*
+ * Local stand-in for the APIs the tool talks to, serving fixture data.
+ *
+ * Every API lives under its own path prefix on one server; `bases` holds the matching
+ * API_BASES overrides for setApiBases() / `--api-base`. Modrinth endpoints are answered
+ * from the fixture's projects and versions; everything else (loader meta, maven metadata,
+ * GitHub releases) is served verbatim from the fixture's `static` map. Version files are
+ * served under CDN_PREFIX, at the path they have on cdn.modrinth.com, and GitHub release
+ * assets under GITHUB_DOWNLOAD_PREFIX, at their browser_download_url path on github.com.
+ */
+const http = require("node:http");
+
+// Path prefix of each API on the mock server
+const PREFIXES = {
+  modrinth: "/modrinth/v2",
+  github: "/github",
+  fabricMeta: "/fabric-meta",
+  quiltMeta: "/quilt-meta",
+  quiltMaven: "/quilt-maven",
+  forgeFiles: "/forge-files",
+  forgeMaven: "/forge-maven",
+  neoforgeMaven: "/neoforge-maven"
+};
+
+// Stand-in for https://cdn.modrinth.com (not an API base: pack files carry absolute URLs)
+const CDN_PREFIX = "/cdn";
+// Stand-in for https://github.com release downloads
+const GITHUB_DOWNLOAD_PREFIX = "/github-downloads";
+
+const byDateDesc = (a, b) => new Date(b.date_published) - new Date(a.date_published);
+
+/**
+ * Answer a Modrinth API request from the fixture data
+ * @returns {{status: number, body: *}|null} - null for unknown routes
+ */
+function modrinthRoute(fixtures, method, route, params, body) {
+  const { projects, versions } = fixtures;
+  const projectById = id => projects.find(p => p.id === id || p.slug === id);
+  const versionBySha1 = sha1 => versions.find(v => v.files.some(f => f.hashes.sha1 === sha1));
+  const matches = (v, loaders, gameVersions) =>
+    (!loaders || v.loaders.some(l => loaders.includes(l))) &&
+    (!gameVersions || v.game_versions.some(g => gameVersions.includes(g)));
+
+  if (method === "GET" && route === "/tag/game_version") {
+    return { status: 200, body: fixtures.gameVersions.map(version => ({ version, version_type: "release" })) };
+  }
+  if (method === "GET" && route === "/projects") {
+    const ids = JSON.parse(params.get("ids") || "[]");
+    return { status: 200, body: ids.map(projectById).filter(Boolean) };
+  }
+  if (method === "GET" && route === "/versions") {
+    const ids = JSON.parse(params.get("ids") || "[]");
+    return { status: 200, body: versions.filter(v => ids.includes(v.id)) };
+  }
+  const projectVersions = route.match(/^\/project\/([^/]+)\/version$/);
+  if (method === "GET" && projectVersions) {
+    const project = projectById(decodeURIComponent(projectVersions[1]));
+    if (!project) return { status: 404, body: { error: "not_found" } };
+    const loaders = params.has("loaders") ? JSON.parse(params.get("loaders")) : null;
+    const gameVersions = params.has("game_versions") ? JSON.parse(params.get("game_versions")) : null;
+    return {
+      status: 200,
+      body: versions.filter(v => v.project_id === project.id && matches(v, loaders, gameVersions)).sort(byDateDesc)
+    };
+  }
+  if (method === "GET" && route === "/search") {
+    const query = (params.get("query") || "").toLowerCase();
+    const hits = projects
+      .filter(p => p.title.toLowerCase().includes(query) || p.slug.includes(query))
+      .map(p => ({ project_id: p.id, slug: p.slug, title: p.title, project_type: p.project_type }));
+    return { status: 200, body: { hits, total_hits: hits.length } };
+  }
+  if (method === "POST" && route === "/version_files") {
+    const result = {};
+    for (const sha1 of body.hashes || []) {
+      const version = versionBySha1(sha1);
+      if (version) result[sha1] = version;
+    }
+    return { status: 200, body: result };
+  }
+  if (method === "POST" && route === "/version_files/update") {
+    // Latest version of the file's project that matches any of the loaders and game versions
+    const result = {};
+    for (const sha1 of body.hashes || []) {
+      const current = versionBySha1(sha1);
+      if (!current) continue;
+      const [latest] = versions
+        .filter(v => v.project_id === current.project_id && matches(v, body.loaders, body.game_versions))
+        .sort(byDateDesc);
+      if (latest) result[sha1] = latest;
+    }
+    return { status: 200, body: result };
+  }
+  return null;
+}
+
+/**
+ * Start the mock server on a free local port
+ * @param {Object} fixtures - { gameVersions, projects, versions, static } (see fixtures/api.json)
+ * @returns {Promise<Object>} - { url, bases, requests, failNext(route, status, times, headers), close() }
+ */
+async function startMockServer(fixtures) {
+  const requests = []; // { method, path } of every request, for assertions
+  const failures = []; // { route, status, remaining } injected by failNext()
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const url = new URL(req.url, "http://localhost");
+    requests.push({ method: req.method, path: url.pathname });
+
+    const send = (status, body, type = "application/json", headers = {}) => {
+      res.writeHead(status, { "Content-Type": type, ...headers });
+      res.end(typeof body === "string" ? body : JSON.stringify(body));
+    };
+
+    const failure = failures.find(f => f.remaining > 0 && url.pathname.startsWith(f.route));
+    if (failure) {
+      failure.remaining--;
+      return send(failure.status, { error: "injected failure" }, "application/json", failure.headers);
+    }
+
+    if (url.pathname.startsWith(PREFIXES.modrinth)) {
+      let body = {};
+      try {
+        body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {};
+      } catch {
+        return send(400, { error: "invalid_input" });
+      }
+      const route = url.pathname.slice(PREFIXES.modrinth.length);
+      const answer = modrinthRoute(fixtures, req.method, route, url.searchParams, body);
+      return answer ? send(answer.status, answer.body) : send(404, { error: "not_found" });
+    }
+
+    const cdnFile = url.pathname.match(new RegExp(`^${CDN_PREFIX}/data/[^/]+/versions/([^/]+)/(.+)$`));
+    if (cdnFile) {
+      const [, versionId, filename] = cdnFile.map(decodeURIComponent);
+      const file = fixtures.versions.find(v => v.id === versionId)?.files.find(f => f.filename === filename);
+      if (!file) return send(404, { error: "not_found" });
+      res.writeHead(200, { "Content-Type": "application/java-archive" });
+      return res.end(fixtures.fileData(versionId, filename, file.primary));
+    }
+
+    const githubAsset = url.pathname.match(new RegExp(`^${GITHUB_DOWNLOAD_PREFIX}/([^/]+/[^/]+)/releases/download/[^/]+/(.+)$`));
+    if (githubAsset) {
+      const [, repo, name] = githubAsset.map(decodeURIComponent);
+      const releases = fixtures.static?.[`${PREFIXES.github}/repos/${repo}/releases`] || [];
+      const asset = releases.flatMap(r => r.assets).find(a => a.name === name);
+      const bytes = asset && fixtures.static[`${PREFIXES.github}/repos/${repo}/releases/assets/${asset.id}`];
+      return bytes === undefined ? send(404, { error: "not_found" }) : send(200, bytes, "application/octet-stream");
+    }
+
+    const file = fixtures.static?.[url.pathname];
+    if (file === undefined) return send(404, { error: "not_found" });
+    return typeof file === "string"
+      ? send(200, file, url.pathname.endsWith(".xml") ? "application/xml" : "text/plain")
+      : send(200, file);
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    bases: Object.fromEntries(Object.entries(PREFIXES).map(([key, prefix]) => [key, url + prefix])),
+    requests,
+    /**
+     * Answer the next `times` requests whose path starts with `route` with `status`
+     * @param {string} route - Path prefix on the mock server, e.g. "/modrinth/v2/project/"
+     * @param {number} status - HTTP status to send
+     * @param {number} [times] - How many requests to fail
+     * @param {Object} [headers] - Extra response headers, e.g. rate-limit ones
+     */
+    failNext(route, status, times = 1, headers = {}) {
+      failures.push({ route, status, remaining: times, headers });
+    },
+    reset() {
+      requests.length = 0;
+      failures.length = 0;
+    },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = { startMockServer, PREFIXES, CDN_PREFIX, GITHUB_DOWNLOAD_PREFIX };